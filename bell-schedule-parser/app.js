@@ -381,6 +381,530 @@ function buildHlsJson(stateObj) {
   return result;
 }
 
+// ============================================================================
+// HLS Import
+// ============================================================================
+
+/**
+ * Period lists by schedule name from an HLS JSON — either our own export
+ * ({ "Regular Day": [...] }) or a bell-schedule-library file ({ school_name, schedules: {...} }).
+ */
+function extractHlsSchedules(json) {
+  const schedules = json && json.schedules && typeof json.schedules === 'object' ? json.schedules : json;
+  const result = {};
+  Object.entries(schedules || {}).forEach(([name, periods]) => {
+    if (Array.isArray(periods)) result[name] = periods.filter(p => p && p.period_name);
+  });
+  if (Object.keys(result).length === 0) {
+    throw new Error('No schedules found — expected an HLS bell schedule JSON');
+  }
+  return result;
+}
+
+/**
+ * Groups periods whose times overlap, e.g. 3A/3B/3C lunch waves inside one
+ * block. Returns groups in start-time order; a group of one is a regular period.
+ */
+function findOverlapGroups(periods) {
+  const sorted = [...periods].sort((a, b) =>
+    parseTimeToMinutes(a.startTime) - parseTimeToMinutes(b.startTime) ||
+    parseTimeToMinutes(a.endTime) - parseTimeToMinutes(b.endTime)
+  );
+  const groups = [];
+  let groupEnd = -1;
+  sorted.forEach(period => {
+    const start = parseTimeToMinutes(period.startTime);
+    const end = parseTimeToMinutes(period.endTime);
+    if (groups.length > 0 && start < groupEnd) {
+      groups[groups.length - 1].push(period);
+      groupEnd = Math.max(groupEnd, end);
+    } else {
+      groups.push([period]);
+      groupEnd = end;
+    }
+  });
+  return groups;
+}
+
+/**
+ * Parent period name for a group of segments: their common prefix without
+ * the wave letters ("Period 3AB", "Period 3BC" → "Period 3"; "3A", "3B" → "3").
+ * Empty when the names share nothing ("Period 4", "1st Lunch").
+ */
+function splitParentName(names) {
+  let prefix = names[0];
+  names.slice(1).forEach(name => {
+    let i = 0;
+    while (i < prefix.length && i < name.length && prefix[i] === name[i]) i++;
+    prefix = prefix.slice(0, i);
+  });
+  prefix = prefix.replace(/(\d)[A-Za-z]+$/, '$1').replace(/[\s\-–:]+$/, '');
+  return prefix;
+}
+
+/**
+ * Rebuilds wizard state from an HLS JSON so it can be edited and re-exported.
+ * Overlapping periods become a split period: a parent spanning the whole
+ * window plus one segment per original period (exported under its own name).
+ */
+function hlsJsonToState(json) {
+  const hlsSchedules = extractHlsSchedules(json);
+  const schedules = {};
+  let hasSplits = false;
+
+  Object.entries(hlsSchedules).forEach(([scheduleName, hlsPeriods]) => {
+    const periods = [];
+    const splitPeriods = {};
+
+    const imported = hlsPeriods.map(p => ({
+      name: String(p.period_name).trim(),
+      startTime: p.start_time || '',
+      endTime: p.end_time || ''
+    }));
+
+    findOverlapGroups(imported).forEach(group => {
+      if (group.length === 1) {
+        periods.push(group[0]);
+        return;
+      }
+
+      // Segments keep the file's order
+      group.sort((a, b) => imported.indexOf(a) - imported.indexOf(b));
+      const start = Math.min(...group.map(p => parseTimeToMinutes(p.startTime)));
+      const end = Math.max(...group.map(p => parseTimeToMinutes(p.endTime)));
+
+      // Unrelated names (a period and its lunch waves) take the name of the period spanning the window
+      const spanning = group.find(p => parseTimeToMinutes(p.startTime) === start && parseTimeToMinutes(p.endTime) === end);
+      let parentName = splitParentName(group.map(p => p.name)) || (spanning || group[0]).name;
+      if (periods.some(p => p.name === parentName) || splitPeriods[parentName]) parentName = group[0].name;
+      periods.push({ name: parentName, startTime: minutesToTime(start), endTime: minutesToTime(end) });
+
+      // Multi-letter waves ("3AB", "3BC") are class combinations
+      const waves = group.map(p => p.name.split(/\s+/).pop());
+      splitPeriods[parentName] = {
+        parentName,
+        segments: group.map(p => ({
+          parsedName: p.name,
+          masterName: p.name,
+          startTime: p.startTime,
+          endTime: p.endTime
+        })),
+        classCombinations: waves.some(w => /\d[A-Za-z]{2,}$/.test(w)) ? waves.join(', ') : ''
+      };
+      hasSplits = true;
+    });
+
+    schedules[scheduleName] = {
+      periods: periods.length > 0 ? periods : [{ name: '', startTime: '', endTime: '' }],
+      splitPeriods
+    };
+  });
+
+  const scheduleType = /block/i.test(json.schedule_type || '')
+    ? 'block'
+    : (json.rotation_type && json.rotation_type !== 'none' ? 'rotating' : 'traditional');
+
+  return {
+    schoolName: json.school_name || '',
+    scheduleType,
+    hasLunchSplits: hasSplits,
+    schedules
+  };
+}
+
+// ============================================================================
+// Text Parser
+// ============================================================================
+
+// "7:40 - 8:25 AM", "11:02-11:32", "1:05 p.m. to 1:50 p.m." (dashes normalized first)
+const TIME_RANGE_PATTERN = /(\d{1,2}:\d{2})(?:\s*([ap])\.?\s*m\b\.?)?\s*(?:-|to\b)\s*(\d{1,2}:\d{2})(?:\s*([ap])\.?\s*m\b\.?)?/i;
+
+/**
+ * Minutes after midnight for a clock time. Without am/pm, 12-hour times are
+ * placed in the school day: 6:00-11:59 is morning, 12:00-5:59 is afternoon.
+ */
+function clockToMinutes(time, meridiem) {
+  let [hours, minutes] = time.split(':').map(Number);
+  if (hours > 12 || hours === 0) return hours * 60 + minutes; // already 24-hour
+  if (meridiem) {
+    hours = hours % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  } else if (hours < 6 || hours === 12) {
+    hours = hours % 12 + 12;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Replaces figure, en and em dashes and the minus sign with "-" so
+ * TIME_RANGE_PATTERN matches ranges copied from web pages and spreadsheets.
+ */
+function normalizeDashes(text) {
+  return String(text).replace(/[\u2012-\u2015\u2212]/g, '-');
+}
+
+/**
+ * Start and end minutes for a TIME_RANGE_PATTERN match. One am/pm applies to
+ * both ends ("7:40 - 8:25 AM") unless that puts the start after the end
+ * ("11:30 - 12:15 PM"); a range without am/pm may run past noon.
+ */
+function rangeToMinutes(match) {
+  const [, startText, startMeridiem, endText, endMeridiem] = match;
+  let end = clockToMinutes(endText, endMeridiem || startMeridiem);
+  let start = clockToMinutes(startText, startMeridiem || endMeridiem);
+  if (!startMeridiem && endMeridiem && start > end) start = clockToMinutes(startText);
+  if (!startMeridiem && !endMeridiem && start > end) end += 12 * 60;
+  return { start, end };
+}
+
+/**
+ * Tokenizes bell times copied from a school website into HLS periods by
+ * schedule: { "Regular Day": [{ period_name, start_time, end_time }], ... }.
+ * Lines with a time range are periods (the rest of the line is the name);
+ * other text lines start a new schedule ("Delayed Opening"), unless a range
+ * follows on the next line without a name. Returns { schedules, skipped }.
+ */
+function parseBellScheduleText(text) {
+  const schedules = {};
+  const skipped = [];
+  let scheduleName = null;
+  let pendingLabel = null;
+
+  const addSchedule = (name) => {
+    let unique = name;
+    for (let n = 2; schedules[unique]; n++) unique = `${name} (${n})`;
+    schedules[unique] = [];
+    return unique;
+  };
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = normalizeDashes(rawLine)
+      .replace(/[\t\u00a0]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!line) return;
+
+    const match = line.match(TIME_RANGE_PATTERN);
+    if (!match) {
+      // Text without times: a schedule heading, or the name for a range on the next line
+      if (/[a-z]/i.test(line)) {
+        if (pendingLabel) scheduleName = addSchedule(pendingLabel);
+        pendingLabel = line.replace(/[:\-|]+$/, '').trim();
+      } else {
+        skipped.push(rawLine.trim());
+      }
+      return;
+    }
+
+    const cleanName = (part) => part.replace(/^[^\w]+|[\s:\-|,(]+$/g, '').trim();
+    let name = cleanName(line.slice(0, match.index)) || cleanName(line.slice(match.index + match[0].length));
+    if (!name && pendingLabel) {
+      name = pendingLabel;
+    } else if (pendingLabel) {
+      scheduleName = addSchedule(pendingLabel);
+    }
+    pendingLabel = null;
+    if (!name) {
+      skipped.push(rawLine.trim());
+      return;
+    }
+
+    const { start, end } = rangeToMinutes(match);
+    if (!scheduleName) scheduleName = addSchedule('Regular Day');
+    schedules[scheduleName].push({
+      period_name: name,
+      start_time: minutesToTime(start),
+      end_time: minutesToTime(end)
+    });
+  });
+
+  // Headings that never got any periods
+  Object.keys(schedules).forEach(name => {
+    if (schedules[name].length === 0) delete schedules[name];
+  });
+  return { schedules, skipped };
+}
+
+// ============================================================================
+// Spreadsheet Import
+// ============================================================================
+
+const PERIOD_HEADER_ALIASES = ['period', 'period name', 'name', 'class', 'block', 'bell'];
+const START_HEADER_ALIASES = ['start', 'start time', 'begin', 'begins', 'from', 'time in'];
+const END_HEADER_ALIASES = ['end', 'end time', 'ends', 'to', 'time out'];
+const RANGE_HEADER_ALIASES = ['time', 'times', 'time range', 'bell times'];
+
+function headerRole(cell) {
+  const h = String(cell).trim().toLowerCase().replace(/:$/, '');
+  if (PERIOD_HEADER_ALIASES.includes(h)) return 'period';
+  if (START_HEADER_ALIASES.includes(h)) return 'start';
+  if (END_HEADER_ALIASES.includes(h)) return 'end';
+  if (RANGE_HEADER_ALIASES.includes(h)) return 'range';
+  return null;
+}
+
+/**
+ * Minutes after midnight for a spreadsheet time: an Excel day fraction
+ * (0.3194 = 7:40) or text such as "7:40", "07:40:00" or "1:05 PM".
+ */
+function cellToMinutes(value) {
+  if (typeof value === 'number') {
+    return value >= 0 && value < 1 ? Math.round(value * 24 * 60) : null;
+  }
+  const match = String(value).trim().match(/^(\d{1,2}:\d{2})(?::\d{2})?\s*(?:([ap])\.?\s*m\.?)?$/i);
+  return match ? clockToMinutes(match[1], match[2]) : null;
+}
+
+/**
+ * Column groups in a header row: one per Start (or Time range) column, with
+ * the nearest Period column to its left and End column to its right.
+ */
+function findColumnGroups(headerRow) {
+  const roles = headerRow.map(headerRole);
+  const anchors = roles.map((role, c) => (role === 'start' || role === 'range' ? c : -1)).filter(c => c >= 0);
+
+  return anchors.map((startCol, i) => {
+    const from = i > 0 ? anchors[i - 1] + 1 : 0;
+    const to = i + 1 < anchors.length ? anchors[i + 1] - 1 : headerRow.length - 1;
+    let periodCol = -1;
+    for (let c = startCol - 1; c >= from; c--) {
+      if (roles[c] === 'period') { periodCol = c; break; }
+    }
+    if (periodCol < 0 && startCol > from && !roles[startCol - 1]) periodCol = startCol - 1;
+    let endCol = -1;
+    if (roles[startCol] === 'start') {
+      for (let c = startCol + 1; c <= to; c++) {
+        if (roles[c] === 'end') { endCol = c; break; }
+      }
+    }
+    const firstCol = periodCol >= 0 ? Math.min(periodCol, startCol) : startCol;
+    return { periodCol, startCol, endCol, range: endCol < 0, firstCol, lastCol: Math.max(startCol, endCol) };
+  }).filter(group => group.periodCol >= 0 && (group.range || group.endCol >= 0));
+}
+
+/**
+ * A column group from chosen columns; endCol -1 reads startCol as a time range.
+ */
+function columnGroup(periodCol, startCol, endCol) {
+  return {
+    periodCol,
+    startCol,
+    endCol,
+    range: endCol < 0,
+    firstCol: Math.min(periodCol, startCol),
+    lastCol: Math.max(periodCol, startCol, endCol)
+  };
+}
+
+function isBlankCells(row, firstCol, lastCol) {
+  for (let c = firstCol; c <= lastCol; c++) {
+    if (String(row[c] === undefined ? '' : row[c]).trim() !== '') return false;
+  }
+  return true;
+}
+
+/**
+ * Reads every schedule block from one sheet (rows as arrays). A block starts
+ * at a header row (Period / Start / End, or Period / Time) and runs to the
+ * next blank row; several column groups side by side are separate blocks.
+ * A block is named by the text above its header, else by the sheet.
+ * overrides: { "headerRow:groupIndex": { periodCol, startCol, endCol } } replaces
+ * the detected columns of a block. Returns [{ name, columns, headerRow,
+ * groupIndex, headers, periods: [HLS periods], skipped }], including header
+ * rows with no readable periods so their columns can be re-mapped.
+ */
+function readSheetBlocks(rows, sheetName, overrides = {}) {
+  const blocks = [];
+  let searchFrom = 0;
+
+  for (let r = 0; r < rows.length; r++) {
+    const headers = rows[r].map(v => (v === undefined ? '' : v));
+    const groups = findColumnGroups(headers).map((group, g) => {
+      const override = overrides[`${r}:${g}`];
+      return override ? columnGroup(override.periodCol, override.startCol, override.endCol) : group;
+    });
+    if (groups.length === 0) continue;
+
+    let lastRow = r;
+    groups.forEach((group, g) => {
+      // Title: nearest text above the header within the group's columns
+      let title = '';
+      for (let t = r - 1; t >= searchFrom && !title; t--) {
+        for (let c = group.firstCol; c <= group.lastCol && !title; c++) {
+          const value = String(rows[t][c] === undefined ? '' : rows[t][c]).trim();
+          if (value && cellToMinutes(value) === null) title = value;
+        }
+      }
+
+      const periods = [];
+      let skipped = 0;
+      let d = r + 1;
+      for (; d < rows.length; d++) {
+        const row = rows[d];
+        if (isBlankCells(row, group.firstCol, group.lastCol) || findColumnGroups(row).length > 0) break;
+
+        const name = String(row[group.periodCol] === undefined ? '' : row[group.periodCol]).trim();
+        let start = null;
+        let end = null;
+        if (group.range) {
+          const match = normalizeDashes(row[group.startCol]).match(TIME_RANGE_PATTERN);
+          if (match) ({ start, end } = rangeToMinutes(match));
+        } else {
+          start = cellToMinutes(row[group.startCol]);
+          end = cellToMinutes(row[group.endCol]);
+          if (start !== null && end !== null && start > end && end < 12 * 60) end += 12 * 60;
+        }
+
+        if (!name || start === null || end === null) {
+          skipped++;
+          continue;
+        }
+        periods.push({ period_name: name, start_time: minutesToTime(start), end_time: minutesToTime(end) });
+      }
+      lastRow = Math.max(lastRow, d);
+
+      const name = title || (groups.length > 1 ? `${sheetName} ${g + 1}` : sheetName);
+      blocks.push({ name, columns: group, headerRow: r, groupIndex: g, headers: headers.map(String), periods, skipped });
+    });
+
+    // Carry on after the blank row (or at the next header row)
+    searchFrom = lastRow;
+    r = lastRow - 1;
+  }
+  return blocks;
+}
+
+/**
+ * Reads bell schedules from a workbook (XLSX, or a CSV read by SheetJS):
+ * every sheet or column block becomes a named schedule. overrides holds
+ * readSheetBlocks column overrides by sheet name.
+ * Returns { schedules: { name: [HLS periods] }, blocks } (blocks without
+ * periods are listed but make no schedule).
+ */
+function parseBellScheduleWorkbook(workbook, overrides = {}) {
+  const schedules = {};
+  const blocks = [];
+  workbook.SheetNames.forEach(sheetName => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '' });
+    readSheetBlocks(rows, sheetName, overrides[sheetName]).forEach(block => {
+      if (block.periods.length === 0) {
+        blocks.push({ ...block, sheetName });
+        return;
+      }
+      let name = block.name;
+      for (let n = 2; schedules[name]; n++) name = `${block.name} (${n})`;
+      schedules[name] = block.periods;
+      blocks.push({ ...block, name, sheetName });
+    });
+  });
+  return { schedules, blocks };
+}
+
+// ============================================================================
+// Derived Schedules
+// ============================================================================
+
+// Periods usually skipped on a delayed opening or early dismissal
+const DROPPABLE_PERIOD_PATTERN = /\b(homeroom|home room|homebase|hr|advisory|advisement|flex|wit|study hall|announcements)\b/i;
+
+/**
+ * Derives a shortened schedule (delayed opening or early dismissal) from a
+ * base schedule and a new start and/or end time. Passing times between the
+ * periods that remain are kept; periods named in options.drop are removed.
+ * options.mode:
+ *   'proportional' — every period shrinks by the same factor
+ *   'equal'        — lunch keeps its length, the other periods share the rest equally
+ * Split segments are rescaled with their parent period.
+ * Returns a schedule { periods, splitPeriods } for state.schedules.
+ */
+function deriveSchedule(baseSchedule, options) {
+  const drop = options.drop || [];
+  const timed = baseSchedule.periods
+    .filter(p => p.name && validateTimeFormat(p.startTime).valid && validateTimeFormat(p.endTime).valid)
+    .map(p => ({ name: p.name, start: parseTimeToMinutes(p.startTime), end: parseTimeToMinutes(p.endTime) }))
+    .sort((a, b) => a.start - b.start);
+  if (timed.length === 0) throw new Error('The base schedule has no periods with start and end times');
+
+  const dayStart = timed[0].start;
+  const dayEnd = Math.max(...timed.map(p => p.end));
+  const newStart = options.startTime ? parseTimeToMinutes(options.startTime) : dayStart;
+  const newEnd = options.endTime ? parseTimeToMinutes(options.endTime) : dayEnd;
+  if (newStart >= newEnd) throw new Error('The new start time must be before the new end time');
+
+  const kept = timed.filter(p => !drop.includes(p.name));
+  if (kept.length === 0) throw new Error('Every period was dropped');
+
+  // Passing time after each kept period: its gap to the next period in the base schedule
+  const passing = kept.map((p, i) => {
+    if (i === kept.length - 1) return 0;
+    const next = timed[timed.indexOf(p) + 1];
+    return Math.max(0, next.start - p.end);
+  });
+  const available = newEnd - newStart - passing.reduce((sum, m) => sum + m, 0);
+  const lengths = kept.map(p => p.end - p.start);
+
+  let newLengths;
+  if (options.mode === 'equal') {
+    const isLunch = kept.map(p => /lunch/i.test(p.name));
+    const lunchMinutes = lengths.filter((_, i) => isLunch[i]).reduce((sum, m) => sum + m, 0);
+    const classCount = isLunch.filter(lunch => !lunch).length;
+    const each = classCount > 0 ? (available - lunchMinutes) / classCount : 0;
+    newLengths = lengths.map((length, i) => (isLunch[i] ? length : each));
+  } else {
+    const factor = available / lengths.reduce((sum, m) => sum + m, 0);
+    newLengths = lengths.map(length => length * factor);
+  }
+  if (available <= 0 || newLengths.some(length => length < 5)) {
+    throw new Error(`Not enough time between ${minutesToTime(newStart)} and ${minutesToTime(newEnd)} for ${kept.length} periods — drop some periods or change the times`);
+  }
+
+  // Round the running boundaries, not each length, so the day ends exactly on time
+  let clock = newStart;
+  const windows = kept.map((p, i) => {
+    const start = Math.round(clock);
+    clock += newLengths[i];
+    const end = Math.round(clock);
+    clock += passing[i];
+    return { name: p.name, base: p, start, end };
+  });
+
+  const splitPeriods = {};
+  Object.values(baseSchedule.splitPeriods || {}).forEach(split => {
+    const parent = windows.find(w => w.name === split.parentName);
+    if (!parent) return;
+    const scale = (parent.end - parent.start) / (parent.base.end - parent.base.start);
+    const rescale = (time) => (validateTimeFormat(time).valid
+      ? minutesToTime(Math.round(parent.start + (parseTimeToMinutes(time) - parent.base.start) * scale))
+      : time);
+    splitPeriods[split.parentName] = {
+      ...split,
+      segments: (split.segments || []).map(segment => ({
+        ...segment,
+        startTime: rescale(segment.startTime),
+        endTime: rescale(segment.endTime)
+      }))
+    };
+  });
+
+  return {
+    periods: windows.map(w => ({ name: w.name, startTime: minutesToTime(w.start), endTime: minutesToTime(w.end) })),
+    splitPeriods
+  };
+}
+
+/**
+ * Default name for a derived schedule, e.g. "120 Minute Delayed Opening".
+ */
+function derivedScheduleName(baseSchedule, startTime, endTime) {
+  const times = baseSchedule.periods.filter(p => validateTimeFormat(p.startTime).valid && validateTimeFormat(p.endTime).valid);
+  if (times.length === 0) return 'Modified Day';
+  const delay = startTime ? parseTimeToMinutes(startTime) - Math.min(...times.map(p => parseTimeToMinutes(p.startTime))) : 0;
+  const cut = endTime ? Math.max(...times.map(p => parseTimeToMinutes(p.endTime))) - parseTimeToMinutes(endTime) : 0;
+  if (delay > 0 && cut > 0) return 'Delayed Opening & Early Dismissal';
+  if (delay > 0) return `${delay} Minute Delayed Opening`;
+  if (cut > 0) return `${cut} Minute Early Dismissal`;
+  return 'Modified Day';
+}
+
 // ============================================================================
 // DOM State Management
 // ============================================================================
@@ -496,14 +1020,6 @@ function initStep1() {
     });
   });
 
-  function updateRemoveButtons() {
-    const rows = scheduleNamesContainer.querySelectorAll('.schedule-name-row');
-    rows.forEach((row, i) => {
-      const btn = row.querySelector('.remove-schedule');
-      btn.style.display = rows.length > 1 ? 'block' : 'none';
-    });
-  }
-
   updateRemoveButtons();
 
   // Delegate remove button clicks
@@ -533,12 +1049,268 @@ function initStep1() {
     initStep2();
   });
 
+  document.getElementById('import-file').addEventListener('change', onImportHlsFile);
+  document.getElementById('btn-parse-text').addEventListener('click', onParseText);
+  document.getElementById('table-file').addEventListener('change', onImportTableFile);
+  document.getElementById('btn-reimport-table').addEventListener('click', onReimportTable);
+
   // Update Step 3 visibility when lunch splits toggle
   lunchSplitsCheck.addEventListener('change', () => {
     readStateFromDOM();
   });
 }
 
+/**
+ * Adds a filled-in schedule name row to Step 1 (for imported or derived schedules).
+ */
+function addScheduleNameRow(name) {
+  const row = document.createElement('div');
+  row.className = 'schedule-name-row';
+  row.innerHTML = `
+    <input type="text" class="schedule-name-input" placeholder="e.g., Block Day">
+    <button class="btn btn-danger remove-schedule" style="padding: 0.4rem 0.7rem; font-size: 0.85rem;">Remove</button>
+  `;
+  row.querySelector('.schedule-name-input').value = name;
+  document.getElementById('schedule-names-container').appendChild(row);
+  updateRemoveButtons();
+}
+
+function updateRemoveButtons() {
+  const rows = document.querySelectorAll('#schedule-names-container .schedule-name-row');
+  rows.forEach(row => {
+    const btn = row.querySelector('.remove-schedule');
+    btn.style.display = rows.length > 1 ? 'block' : 'none';
+  });
+}
+
+/**
+ * Loads an HLS JSON file into the wizard and opens every step for editing.
+ */
+function onImportHlsFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadStateIntoWizard(hlsJsonToState(JSON.parse(reader.result)));
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+  reader.readAsText(file);
+}
+
+// The last imported spreadsheet, kept so its columns can be re-mapped: { workbook, fileName }
+let currentTableImport = null;
+
+/**
+ * Imports a CSV or XLSX bell schedule table, one schedule per sheet or block.
+ */
+function onImportTableFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  const isCsv = /\.csv$/i.test(file.name);
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      // CSV cells stay text so "7:40" is not turned into a date
+      const workbook = isCsv
+        ? XLSX.read(reader.result, { type: 'string', raw: true })
+        : XLSX.read(new Uint8Array(reader.result), { type: 'array' });
+      if (isCsv) {
+        const baseName = file.name.replace(/\.csv$/i, '');
+        workbook.Sheets[baseName] = workbook.Sheets[workbook.SheetNames[0]];
+        workbook.SheetNames = [baseName];
+      }
+
+      currentTableImport = { workbook, fileName: file.name };
+      importTableWorkbook({});
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+  if (isCsv) {
+    reader.readAsText(file);
+  } else {
+    reader.readAsArrayBuffer(file);
+  }
+}
+
+/**
+ * Loads the schedules from the kept spreadsheet into the wizard, with the
+ * column overrides by sheet, and lists the columns each schedule was read from.
+ */
+function importTableWorkbook(overrides) {
+  const { schedules, blocks } = parseBellScheduleWorkbook(currentTableImport.workbook, overrides);
+  renderTableColumns(blocks);
+  if (blocks.length === 0) {
+    throw new Error('No schedule tables found — each needs a header row with Period, Start and End (or Time) columns');
+  }
+  if (Object.keys(schedules).length === 0) {
+    throw new Error('No periods could be read — check the columns listed under the file input and re-import');
+  }
+
+  readStateFromDOM();
+  const imported = hlsJsonToState(schedules);
+  imported.schoolName = state.schoolName;
+  imported.scheduleType = state.scheduleType;
+  loadStateIntoWizard(imported);
+
+  const columnName = (c) => XLSX.utils.encode_col(c);
+  document.getElementById('table-status').textContent = blocks.map(block => {
+    const cols = block.columns.range
+      ? `Period ${columnName(block.columns.periodCol)}, Time ${columnName(block.columns.startCol)}`
+      : `Period ${columnName(block.columns.periodCol)}, Start ${columnName(block.columns.startCol)}, End ${columnName(block.columns.endCol)}`;
+    const skipped = block.skipped ? `, ${block.skipped} row${block.skipped !== 1 ? 's' : ''} skipped` : '';
+    return `${block.name}: ${block.periods.length} periods from ${block.sheetName} (${cols}${skipped})`;
+  }).join('; ');
+}
+
+/**
+ * One row per imported schedule with Period, Start/Time and End column
+ * selects, preset to the detected columns.
+ */
+function renderTableColumns(blocks) {
+  const container = document.getElementById('table-columns-list');
+  container.innerHTML = '';
+
+  blocks.forEach(block => {
+    const row = document.createElement('div');
+    row.className = 'table-columns-row';
+    row.dataset.sheet = block.sheetName;
+    row.dataset.key = `${block.headerRow}:${block.groupIndex}`;
+
+    const label = document.createElement('span');
+    label.textContent = `${block.name} (${block.sheetName}, row ${block.headerRow + 1})`;
+    row.appendChild(label);
+
+    const columnSelect = (role, selected, noneLabel) => {
+      const select = document.createElement('select');
+      select.className = `table-column-${role}`;
+      if (noneLabel) {
+        const none = document.createElement('option');
+        none.value = '-1';
+        none.textContent = noneLabel;
+        select.appendChild(none);
+      }
+      block.headers.forEach((header, c) => {
+        const option = document.createElement('option');
+        option.value = String(c);
+        option.textContent = header ? `${XLSX.utils.encode_col(c)}: ${header}` : XLSX.utils.encode_col(c);
+        select.appendChild(option);
+      });
+      select.value = String(selected);
+      return select;
+    };
+    row.appendChild(columnSelect('period', block.columns.periodCol));
+    row.appendChild(columnSelect('start', block.columns.startCol));
+    row.appendChild(columnSelect('end', block.columns.endCol, '— none (Time range) —'));
+    container.appendChild(row);
+  });
+
+  document.getElementById('table-columns').classList.toggle('hidden', blocks.length === 0);
+}
+
+/**
+ * Re-reads the kept spreadsheet with the columns chosen in the column selects.
+ */
+function onReimportTable() {
+  if (!currentTableImport) return;
+
+  const overrides = {};
+  const rows = document.querySelectorAll('#table-columns-list .table-columns-row');
+  for (const row of rows) {
+    const periodCol = Number(row.querySelector('.table-column-period').value);
+    const startCol = Number(row.querySelector('.table-column-start').value);
+    const endCol = Number(row.querySelector('.table-column-end').value);
+    if (periodCol === startCol || periodCol === endCol || startCol === endCol) {
+      alert(`${row.firstChild.textContent}: choose different columns for Period, Start and End`);
+      return;
+    }
+    if (!overrides[row.dataset.sheet]) overrides[row.dataset.sheet] = {};
+    overrides[row.dataset.sheet][row.dataset.key] = { periodCol, startCol, endCol };
+  }
+
+  try {
+    importTableWorkbook(overrides);
+  } catch (err) {
+    alert(`Could not import ${currentTableImport.fileName}: ${err.message}`);
+  }
+}
+
+/**
+ * Parses the pasted bell times into schedules, keeping the school name and
+ * schedule type already entered.
+ */
+function onParseText() {
+  const text = document.getElementById('paste-text').value;
+  const status = document.getElementById('paste-status');
+  const { schedules, skipped } = parseBellScheduleText(text);
+
+  if (Object.keys(schedules).length === 0) {
+    alert('No periods found — each period needs a name and a time range, e.g. "Period 1  7:40 – 8:25 AM"');
+    return;
+  }
+
+  readStateFromDOM();
+  const parsed = hlsJsonToState(schedules);
+  parsed.schoolName = state.schoolName;
+  parsed.scheduleType = state.scheduleType;
+  try {
+    loadStateIntoWizard(parsed);
+  } catch (err) {
+    alert(`Could not use the pasted schedule: ${err.message}`);
+    return;
+  }
+
+  const periodCount = Object.values(schedules).reduce((n, periods) => n + periods.length, 0);
+  const scheduleCount = Object.keys(schedules).length;
+  status.textContent = `Found ${periodCount} period${periodCount !== 1 ? 's' : ''} in ${scheduleCount} schedule${scheduleCount !== 1 ? 's' : ''}` +
+    (skipped.length ? `; skipped ${skipped.length} line${skipped.length !== 1 ? 's' : ''} without a name: ${skipped.join(' / ')}` : '') +
+    '. Review them in Steps 2 and 3.';
+}
+
+/**
+ * Replaces the wizard state and re-renders Steps 1-4 from it. Throws, leaving
+ * the current state alone, if the import has more schedules than Step 1 allows.
+ */
+function loadStateIntoWizard(newState) {
+  const scheduleCount = Object.keys(newState.schedules).length;
+  if (scheduleCount > 4) {
+    throw new Error(`Maximum 4 schedules allowed, found ${scheduleCount}: ${Object.keys(newState.schedules).join(', ')}`);
+  }
+  state = newState;
+
+  document.getElementById('school-name').value = state.schoolName;
+  document.querySelector(`input[name="schedule-type"][value="${state.scheduleType}"]`).checked = true;
+  document.getElementById('lunch-splits-check').checked = state.hasLunchSplits;
+
+  const scheduleNamesContainer = document.getElementById('schedule-names-container');
+  scheduleNamesContainer.innerHTML = '';
+  Object.keys(state.schedules).forEach(addScheduleNameRow);
+
+  // Clear the old tabs so readStateFromDOM does not copy stale rows over the import
+  ['period-tabs', 'periods-container', 'split-tabs', 'split-periods-container'].forEach(id => {
+    document.getElementById(id).innerHTML = '';
+  });
+  currentScheduleStep2 = null;
+  currentScheduleStep3 = null;
+
+  initStep2();
+  if (state.hasLunchSplits) initStep3();
+  enableStep(4);
+  initStep4();
+
+  const result = validateDocument(state);
+  displayValidationResults(result);
+  updateJsonPreview();
+  document.getElementById('btn-download-json').disabled = !result.isValid;
+}
+
 // ============================================================================
 // Step 2: Period Editor
 // ============================================================================
@@ -550,6 +1322,7 @@ function initStep2() {
   renderPeriodTabs();
   renderPeriodRows();
   setupPeriodEventListeners();
+  renderDeriveBaseSelect();
 }
 
 function renderPeriodTabs() {
@@ -589,11 +1362,15 @@ function renderPeriodRows() {
     const row = document.createElement('div');
     row.className = 'period-row';
     row.innerHTML = `
-      <input type="text" class="period-name" placeholder="Period 1" value="${period.name || ''}">
-      <input type="time" class="period-start" value="${period.startTime || ''}">
-      <input type="time" class="period-end" value="${period.endTime || ''}">
+      <input type="text" class="period-name" placeholder="Period 1">
+      <input type="time" class="period-start">
+      <input type="time" class="period-end">
       <button class="btn btn-danger remove-period" style="padding: 0.35rem 0.5rem; min-width: auto;">x</button>
     `;
+    // Names may come from imported files, so set them as properties rather than markup
+    row.querySelector('.period-name').value = period.name || '';
+    row.querySelector('.period-start').value = period.startTime || '';
+    row.querySelector('.period-end').value = period.endTime || '';
     container.appendChild(row);
 
     row.querySelector('.remove-period').addEventListener('click', (e) => {
@@ -638,6 +1415,108 @@ function setupPeriodEventListeners() {
   };
 }
 
+function renderDeriveBaseSelect() {
+  const select = document.getElementById('derive-base');
+  const selected = select.value;
+  select.innerHTML = '';
+  Object.keys(state.schedules).forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    if (name === selected) opt.selected = true;
+    select.appendChild(opt);
+  });
+  select.onchange = renderDeriveDropList;
+  document.getElementById('derive-start').onchange = updateDeriveNamePlaceholder;
+  document.getElementById('derive-end').onchange = updateDeriveNamePlaceholder;
+  document.getElementById('btn-derive').onclick = onDeriveSchedule;
+  renderDeriveDropList();
+}
+
+/**
+ * One checkbox per period of the base schedule; homeroom, advisory and the
+ * like start checked.
+ */
+function renderDeriveDropList() {
+  readStateFromDOM();
+  const container = document.getElementById('derive-drop');
+  container.innerHTML = '';
+  const base = state.schedules[document.getElementById('derive-base').value];
+  if (!base) return;
+
+  base.periods.filter(p => p.name).forEach(period => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.className = 'derive-drop-check';
+    check.value = period.name;
+    check.checked = DROPPABLE_PERIOD_PATTERN.test(period.name);
+    label.append(check, ` ${period.name}`);
+    container.appendChild(label);
+  });
+  updateDeriveNamePlaceholder();
+}
+
+function updateDeriveNamePlaceholder() {
+  const base = state.schedules[document.getElementById('derive-base').value];
+  if (!base) return;
+  document.getElementById('derive-name').placeholder = derivedScheduleName(
+    base,
+    document.getElementById('derive-start').value,
+    document.getElementById('derive-end').value
+  );
+}
+
+/**
+ * Adds the derived schedule to state.schedules (and Step 1) and opens its tab.
+ */
+function onDeriveSchedule() {
+  readStateFromDOM();
+  const baseName = document.getElementById('derive-base').value;
+  const base = state.schedules[baseName];
+  const startTime = document.getElementById('derive-start').value;
+  const endTime = document.getElementById('derive-end').value;
+  if (!base) return;
+  if (!startTime && !endTime) {
+    alert('Enter a new start time, a new end time, or both');
+    return;
+  }
+  if (Object.keys(state.schedules).length >= 4) {
+    alert('Maximum 4 schedules allowed');
+    return;
+  }
+
+  const name = document.getElementById('derive-name').value.trim() || derivedScheduleName(base, startTime, endTime);
+  if (state.schedules[name]) {
+    alert(`A schedule named "${name}" already exists`);
+    return;
+  }
+
+  let derived;
+  try {
+    derived = deriveSchedule(base, {
+      startTime,
+      endTime,
+      mode: document.getElementById('derive-mode').value,
+      drop: [...document.querySelectorAll('.derive-drop-check:checked')].map(check => check.value)
+    });
+  } catch (err) {
+    alert(`Could not derive a schedule from "${baseName}": ${err.message}`);
+    return;
+  }
+
+  state.schedules[name] = derived;
+  addScheduleNameRow(name);
+  document.getElementById('derive-name').value = '';
+
+  currentScheduleStep2 = name;
+  renderPeriodTabs();
+  renderPeriodRows();
+  setupPeriodEventListeners();
+  renderDeriveBaseSelect();
+}
+
 // ============================================================================
 // Step 3: Split Periods
 // ============================================================================
@@ -701,7 +1580,8 @@ function renderSplitPeriods() {
 
     const header = document.createElement('div');
     header.className = 'split-period-header';
-    header.innerHTML = `<h4>${splitName}</h4><button class="btn btn-danger remove-split-period" style="padding: 0.35rem 0.7rem; font-size: 0.85rem;">Remove</button>`;
+    header.innerHTML = `<h4></h4><button class="btn btn-danger remove-split-period" style="padding: 0.35rem 0.7rem; font-size: 0.85rem;">Remove</button>`;
+    header.querySelector('h4').textContent = splitName;
     card.appendChild(header);
 
     header.querySelector('.remove-split-period').addEventListener('click', (e) => {
@@ -739,12 +1619,16 @@ function renderSplitPeriods() {
       const row = document.createElement('div');
       row.className = 'segment-row';
       row.innerHTML = `
-        <input type="text" class="segment-parsed-name" placeholder="Segment name" value="${segment.parsedName || ''}">
-        <input type="text" class="segment-master-name" placeholder="Master name" value="${segment.masterName || ''}">
-        <input type="time" class="segment-start" value="${segment.startTime || ''}">
-        <input type="time" class="segment-end" value="${segment.endTime || ''}">
+        <input type="text" class="segment-parsed-name" placeholder="Segment name">
+        <input type="text" class="segment-master-name" placeholder="Master name">
+        <input type="time" class="segment-start">
+        <input type="time" class="segment-end">
         <button class="btn btn-danger remove-segment" style="padding: 0.3rem 0.5rem; min-width: auto;">x</button>
       `;
+      row.querySelector('.segment-parsed-name').value = segment.parsedName || '';
+      row.querySelector('.segment-master-name').value = segment.masterName || '';
+      row.querySelector('.segment-start').value = segment.startTime || '';
+      row.querySelector('.segment-end').value = segment.endTime || '';
       segmentRows.appendChild(row);
 
       row.querySelector('.remove-segment').addEventListener('click', (e) => {
@@ -774,8 +1658,9 @@ function renderSplitPeriods() {
     classDiv.className = 'field class-combinations-field';
     classDiv.innerHTML = `
       <label>Class Combinations</label>
-      <input type="text" class="class-combinations-input" placeholder="3AB, 3BC, 3AC" value="${split.classCombinations || ''}">
+      <input type="text" class="class-combinations-input" placeholder="3AB, 3BC, 3AC">
     `;
+    classDiv.querySelector('.class-combinations-input').value = split.classCombinations || '';
     card.appendChild(classDiv);
 
     container.appendChild(card);
@@ -859,11 +1744,15 @@ function displayValidationResults(result) {
     iconDiv.textContent = issue.severity === 'error' ? '!' : issue.severity === 'warning' ? '⚠' : 'ℹ';
     const textDiv = document.createElement('div');
     textDiv.className = 'validation-text';
-    textDiv.innerHTML = `
-      <strong>${issue.message}</strong>
-      <span>${issue.scheduleName ? `Schedule: ${issue.scheduleName}` : ''} ${issue.periodName ? `Period: ${issue.periodName}` : ''}</span>
-      <span>${issue.suggestion ? `💡 ${issue.suggestion}` : ''}</span>
-    `;
+    const messageEl = document.createElement('strong');
+    messageEl.textContent = issue.message;
+    const whereEl = document.createElement('span');
+    whereEl.textContent = `${issue.scheduleName ? `Schedule: ${issue.scheduleName}` : ''} ${issue.periodName ? `Period: ${issue.periodName}` : ''}`;
+    const suggestionEl = document.createElement('span');
+    suggestionEl.textContent = issue.suggestion ? `💡 ${issue.suggestion}` : '';
+    textDiv.appendChild(messageEl);
+    textDiv.appendChild(whereEl);
+    textDiv.appendChild(suggestionEl);
     itemDiv.appendChild(iconDiv);
     itemDiv.appendChild(textDiv);
     resultsDiv.appendChild(itemDiv);
@@ -876,7 +1765,10 @@ function updateJsonPreview() {
   readStateFromDOM();
   const json = buildHlsJson(state);
   const previewDiv = document.getElementById('json-preview');
-  previewDiv.innerHTML = `<code>${JSON.stringify(json, null, 2)}</code>`;
+  const code = document.createElement('code');
+  code.textContent = JSON.stringify(json, null, 2);
+  previewDiv.innerHTML = '';
+  previewDiv.appendChild(code);
 }
 
 function downloadJSON(obj, filename) {
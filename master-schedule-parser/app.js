@@ -1,458 +1,1345 @@
 /**
  * Master Schedule Parser
  * Parses Excel master schedules with multiline cells and exports to CSV
+ * Page UI; the parsing and validation functions live in parser.js
  */
 
 // ============================================================================
-// Core Parser Functions
+// UI State & Event Handlers
 // ============================================================================
 
+let currentWorkbook = null;
+let currentParseResult = null;
+let currentIssues = [];
+let currentSheetTable = null;
+let currentBellPeriods = null;
+let currentPeriodRenames = {};
+let currentBellSuggestions = {};
+let currentCourseGroups = [];
+let currentParseOptions = null;
+let currentDiff = null;
+let currentCompareResult = null;
+let currentPseudonyms = null;
+let currentImportedJson = null;
+
+const COURSE_ALIAS_STORAGE_KEY = 'masterScheduleParser.courseAliases';
+const COURSE_CATALOG_STORAGE_KEY = 'masterScheduleParser.courseCatalog';
+const RULE_SET_STORAGE_KEY = 'masterScheduleParser.contractRules';
+
+// ============================================================================
+// Column Mapping & SIS Profiles
+// ============================================================================
+
+const COLUMN_ROLES = [
+  { value: '', label: 'Ignore' },
+  { value: 'teacher', label: 'Teacher' },
+  { value: 'dept', label: 'Department' },
+  { value: 'period', label: 'Period' },
+  { value: 'course', label: 'Course (section list)' },
+  { value: 'room', label: 'Room (section list)' },
+  { value: 'days', label: 'Days (section list)' },
+  { value: 'term', label: 'Term (section list)' }
+];
+
+const PROFILE_STORAGE_KEY = 'masterScheduleParser.columnProfiles';
+
+function resolveLayout() {
+  const selected = document.getElementById('layout-select').value;
+  if (selected !== 'auto') return selected;
+  if (currentSheetTable && currentSheetTable.transposed) return 'transposed';
+  return detectLayout(currentSheetTable ? currentSheetTable.headers : []);
+}
+
+function selectedSheetNames() {
+  return [...document.getElementById('sheet-select').selectedOptions].map(option => option.value);
+}
+
 /**
- * Parses a multiline Excel cell like:
- * "AP Statistics\n      FY  Room:B208  Days:A\nGeometry\n      FY  Room:B208  Days:B"
- *
- * Returns: { aDayClasses: [{course, room, type}], bDayClasses: [...] }
+ * Reads the (first) selected sheet and fills the mapping table, one row per column.
+ * Uses the given map (e.g. from a profile) or the best guess for the headers.
  */
-function parsePeriodCell(cellValue) {
-  if (!cellValue || cellValue.trim() === '') {
-    return { aDayClasses: [], bDayClasses: [] };
-  }
-
-  const lines = cellValue.split('\n');
-  const aDayClasses = [];
-  const bDayClasses = [];
-
-  let i = 0;
-  while (i < lines.length) {
-    const line = lines[i];
-
-    // Check if next line is a details line (contains Room: or Days:)
-    const hasDetailsLine = (i + 1 < lines.length) &&
-                          (lines[i + 1].includes('Room:') || lines[i + 1].includes('Days:'));
-
-    if (hasDetailsLine) {
-      const course = line.trim();
-      const detailsLine = lines[i + 1];
-
-      // Extract room, type (FY/S1/S2/Q1/Q2/Q3/Q4), and days
-      const roomMatch = detailsLine.match(/Room:(\S+)/);
-      const typeMatch = detailsLine.match(/(FY|S1|S2|Q1|Q2|Q3|Q4)/);
-      const daysMatch = detailsLine.match(/Days:\s*([AB])/);
-
-      const room = roomMatch ? roomMatch[1] : '';
-      const type = typeMatch ? typeMatch[1] : 'FY';
-      const days = daysMatch ? daysMatch[1] : null;
-
-      const classObj = { course, room, type };
-
-      // If specific day is mentioned, add to that day; otherwise add to both
-      if (days === 'A') {
-        aDayClasses.push(classObj);
-      } else if (days === 'B') {
-        bDayClasses.push(classObj);
-      } else {
-        // No specific day mentioned, add to both
-        aDayClasses.push(classObj);
-        bDayClasses.push(classObj);
-      }
+function renderColumnMapping(columnMap) {
+  const sheetName = document.getElementById('sheet-select').value;
+  currentSheetTable = readScheduleTable(
+    currentWorkbook.Sheets[sheetName],
+    document.getElementById('layout-select').value
+  );
+  const { headers, rows, headerRow, transposed } = currentSheetTable;
+  const map = columnMap || guessColumnMap(headers, transposed ? 'wide' : resolveLayout());
+
+  document.getElementById('header-row-note').textContent = transposed
+    ? `Periods run down the rows and teachers across the columns; turned into ${rows.length} teacher rows.`
+    : headerRow
+      ? `Header found on row ${headerRow}; ${rows.length} data rows (blank and repeated header rows skipped).`
+      : 'No header row found on this sheet.';
+
+  const roleOf = (header) => {
+    if (header === map.teacher) return 'teacher';
+    if (header === map.dept) return 'dept';
+    if (map.periods.includes(header)) return 'period';
+    if (header === map.course) return 'course';
+    if (header === map.room) return 'room';
+    if (header === map.days) return 'days';
+    if (header === map.term) return 'term';
+    return '';
+  };
 
-      i += 2;
-    } else {
-      // Course line without details, add to both days
-      const course = line.trim();
-      if (course) {
-        const classObj = { course, room: '', type: 'FY' };
-        aDayClasses.push(classObj);
-        bDayClasses.push(classObj);
+  const tbody = document.getElementById('mapping-body');
+  tbody.innerHTML = '';
+
+  headers.forEach(header => {
+    const sampleRow = rows.find(r => String(r[header]).trim() !== '');
+    const sample = sampleRow ? String(sampleRow[header]).split('\n')[0] : '';
+    const role = roleOf(header);
+
+    const tr = document.createElement('tr');
+    tr.dataset.header = header;
+
+    const nameTd = document.createElement('td');
+    nameTd.textContent = header;
+    const sampleTd = document.createElement('td');
+    sampleTd.textContent = sample;
+    sampleTd.className = 'muted';
+
+    const roleTd = document.createElement('td');
+    const select = document.createElement('select');
+    select.className = 'role-select';
+    COLUMN_ROLES.forEach(r => {
+      const option = document.createElement('option');
+      option.value = r.value;
+      option.textContent = r.label;
+      if (r.value === role) option.selected = true;
+      select.appendChild(option);
+    });
+    roleTd.appendChild(select);
+
+    const orderTd = document.createElement('td');
+    const order = document.createElement('input');
+    order.type = 'number';
+    order.min = '1';
+    order.className = 'order-input';
+    order.value = role === 'period' ? map.periods.indexOf(header) + 1 : '';
+    order.disabled = role !== 'period';
+    orderTd.appendChild(order);
+
+    select.addEventListener('change', () => {
+      order.disabled = select.value !== 'period';
+      if (order.disabled) {
+        order.value = '';
+      } else if (!order.value) {
+        order.value = tbody.querySelectorAll('.order-input:not(:disabled)').length;
       }
-      i += 1;
-    }
-  }
+    });
 
-  return { aDayClasses, bDayClasses };
+    tr.append(nameTd, sampleTd, roleTd, orderTd);
+    tbody.appendChild(tr);
+  });
 }
 
 /**
- * Formats class array to CSV string: "CourseName (Room: ROOM)" or just course name
+ * Builds a column map from the mapping table. Period columns are ordered by
+ * their Order value, then by their position in the sheet.
  */
-function formatClassForCsv(classes) {
-  if (!classes || classes.length === 0) return '';
+function readColumnMapFromUI() {
+  const map = { teacher: null, dept: null, periods: [], course: null, room: null, days: null, term: null };
+  const periods = [];
+
+  document.querySelectorAll('#mapping-body tr').forEach((tr, index) => {
+    const header = tr.dataset.header;
+    const role = tr.querySelector('.role-select').value;
+    if (role === 'period') {
+      const order = parseInt(tr.querySelector('.order-input').value, 10);
+      periods.push({ header, order: isNaN(order) ? Infinity : order, index });
+    } else if (role && !map[role]) {
+      map[role] = header;
+    }
+  });
+
+  map.periods = periods
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(p => p.header);
+  return map;
+}
 
-  const firstClass = classes[0];
-  if (firstClass.room) {
-    return `${firstClass.course} (Room: ${firstClass.room})`;
+function loadProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) || [];
+  } catch (err) {
+    return [];
   }
-  return firstClass.course;
 }
 
-/**
- * Case-insensitive header matching — returns original header string or null.
- */
-function findColumn(headers, possibleNames) {
-  const lowerMap = {};
-  headers.forEach(h => { lowerMap[h.toLowerCase().trim()] = h; });
-  for (const name of possibleNames) {
-    const match = lowerMap[name.toLowerCase().trim()];
-    if (match) return match;
+function saveProfiles(profiles) {
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+function renderProfileSelect() {
+  const select = document.getElementById('profile-select');
+  select.innerHTML = '<option value="">— Saved profiles —</option>';
+  loadProfiles().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+}
+
+function onSaveProfile() {
+  const name = document.getElementById('profile-name').value.trim();
+  if (!name) {
+    alert('Please enter a profile name');
+    return;
+  }
+
+  const profiles = loadProfiles().filter(p => p.name !== name);
+  profiles.push({
+    name,
+    layout: document.getElementById('layout-select').value,
+    columnMap: readColumnMapFromUI()
+  });
+  saveProfiles(profiles);
+  renderProfileSelect();
+  document.getElementById('profile-select').value = name;
+}
+
+function onApplyProfile() {
+  const name = document.getElementById('profile-select').value;
+  const profile = loadProfiles().find(p => p.name === name);
+  if (!profile || !currentSheetTable) return;
+
+  document.getElementById('layout-select').value = profile.layout || 'auto';
+  renderColumnMapping(profileToColumnMap(profile, currentSheetTable.headers));
+}
+
+function onDeleteProfile() {
+  const name = document.getElementById('profile-select').value;
+  if (!name) return;
+  saveProfiles(loadProfiles().filter(p => p.name !== name));
+  renderProfileSelect();
+}
+
+function onFileUpload() {
+  const file = document.getElementById('excel-file').files[0];
+  if (!file) return;
+
+  if (/\.json$/i.test(file.name)) {
+    onJsonUpload(file);
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const buffer = e.target.result;
+    runParserJob(
+      { type: 'read', buffer },
+      () => XLSX.read(buffer, { type: 'array' }),
+      {
+        onDone: (workbook) => {
+          currentWorkbook = workbook;
+          currentImportedJson = null;
+          resetPseudonyms();
+          onWorkbookLoaded();
+        },
+        onError: (message) => alert(`Error reading file: ${message}`)
+      }
+    );
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+function onWorkbookLoaded() {
+  try {
+    const sheets = currentWorkbook.SheetNames;
+
+    const select = document.getElementById('sheet-select');
+    select.innerHTML = '';
+    sheets.forEach((name, i) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = i === 0;
+      select.appendChild(option);
+    });
+    select.size = Math.min(Math.max(sheets.length, 2), 8);
+
+    // Show upload summary first so the layout can still be changed if mapping fails
+    document.getElementById('upload-summary').classList.remove('hidden');
+    document.getElementById('btn-parse').disabled = false;
+
+    renderProfileSelect();
+    renderColumnMapping();
+  } catch (err) {
+    alert(`Error reading file: ${err.message}`);
   }
-  return null;
 }
 
 /**
- * Levenshtein distance for typo detection (standard DP implementation)
+ * Loads a JSON export from this tool and goes straight to review; the sheet
+ * and column settings do not apply to it.
  */
-function levenshteinDistance(a, b) {
-  const aLen = a.length;
-  const bLen = b.length;
-
-  const dp = Array(aLen + 1).fill(null).map(() => Array(bLen + 1).fill(0));
-
-  for (let i = 0; i <= aLen; i++) dp[i][0] = i;
-  for (let j = 0; j <= bLen; j++) dp[0][j] = j;
-
-  for (let i = 1; i <= aLen; i++) {
-    for (let j = 1; j <= bLen; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(
-        dp[i - 1][j] + 1,     // deletion
-        dp[i][j - 1] + 1,     // insertion
-        dp[i - 1][j - 1] + cost // substitution
-      );
+function onJsonUpload(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      currentImportedJson = JSON.parse(e.target.result);
+      currentWorkbook = null;
+      resetPseudonyms();
+      document.getElementById('upload-summary').classList.add('hidden');
+      onParse();
+    } catch (err) {
+      alert(`Error reading JSON: ${err.message}`);
     }
+  };
+  reader.readAsText(file);
+}
+
+function parseImportedJson() {
+  currentParseOptions = {
+    term: document.getElementById('term-select').value,
+    periodRenames: currentPeriodRenames,
+    courseAliases: loadCourseAliases(),
+    emptyCategory: document.getElementById('empty-category').value.trim() || 'Prep',
+    inferDepartments: document.getElementById('infer-dept').checked,
+    courseCatalog: document.getElementById('course-catalog').value
+  };
+
+  try {
+    const parseResult = scheduleJsonToParseResult(currentImportedJson, currentParseOptions);
+    showParseResult(parseResult, null, findCourseGroups(parseResult.teachers));
+  } catch (err) {
+    alert(`Error reading JSON: ${err.message}`);
   }
+}
 
-  return dp[aLen][bLen];
+function onParse() {
+  if (currentImportedJson) {
+    parseImportedJson();
+    return;
+  }
+  if (!currentWorkbook) {
+    alert('Please upload a file first');
+    return;
+  }
+
+  const sheetNames = selectedSheetNames();
+  const nonTeachingLabels = document.getElementById('non-teaching-labels').value;
+  const emptyCategory = document.getElementById('empty-category').value.trim() || 'Prep';
+  const term = document.getElementById('term-select').value;
+  const rotationDays = document.getElementById('rotation-days').value;
+  const layout = resolveLayout();
+  const columnMap = readColumnMapFromUI();
+
+  if (sheetNames.length === 0) {
+    alert('Please select at least one sheet');
+    return;
+  }
+  if (!columnMap.teacher) {
+    alert('Please map a Teacher column');
+    return;
+  }
+  if (columnMap.periods.length === 0) {
+    alert('Please map at least one Period column');
+    return;
+  }
+  if (layout === 'long' && !columnMap.course) {
+    alert('Please map a Course column for a section list');
+    return;
+  }
+
+  currentParseOptions = {
+    term, rotationDays, layout, columnMap,
+    periodRenames: currentPeriodRenames,
+    courseAliases: loadCourseAliases(),
+    emptyCategory,
+    detailFields: document.getElementById('detail-fields').value,
+    inferDepartments: document.getElementById('infer-dept').checked,
+    courseCatalog: document.getElementById('course-catalog').value,
+    contractRules: readContractRulesFromUI()
+  };
+
+  // Issues are listed in the review panel as the worker finds them
+  document.getElementById('issues-list').innerHTML = '';
+
+  runParserJob(
+    { type: 'parse', sheetNames, labels: nonTeachingLabels, options: currentParseOptions },
+    () => parseAndValidate(currentWorkbook, sheetNames, nonTeachingLabels, currentParseOptions),
+    {
+      onIssues: showStreamedIssues,
+      onDone: (result) => showParseResult(result.parseResult, result.issues, result.courseGroups),
+      onError: (message) => alert(`Parse error: ${message}`)
+    }
+  );
 }
 
 /**
- * CSV escaping: wrap in quotes if contains comma, quote, or newline
+ * Shows a finished parse in the review step. issues may be null to validate here.
  */
-function escapeCsv(str) {
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
+function showParseResult(parseResult, issues, courseGroups) {
+  currentParseResult = parseResult;
+  runValidation(issues);
+  renderBellRenames();
+  currentCourseGroups = courseGroups;
+  renderCourseGroups();
+  renderPdfDeptFilter();
+
+  document.getElementById('review-grid-scroll').scrollTop = 0;
+  displayReview();
+
+  // Enable Step 2 (review) and Step 3 (download)
+  document.getElementById('step-review').classList.remove('disabled');
+  document.getElementById('step-download').classList.remove('disabled');
+}
+
+function showStreamedIssues(issues) {
+  document.getElementById('issues-container').classList.remove('hidden');
+  const issuesList = document.getElementById('issues-list');
+  issues.forEach(issue => {
+    const div = document.createElement('div');
+    div.className = `issue ${issue.severity}`;
+    div.textContent = issue.message;
+    issuesList.appendChild(div);
+  });
 }
 
 /**
- * Main parser: reads Excel sheet and returns parsed teacher data.
- * Each "Period X" column is expanded into "Period X A Day" and "Period X B Day".
+ * Validates the current parse result (including any grid edits) and enables
+ * the downloads when there are no errors. Takes the issues when the parse
+ * step already found them.
  */
-function parseExcelSchedule(workbook, sheetName, nonTeachingLabelsStr) {
-  const sheet = workbook.Sheets[sheetName];
-  const data = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+function runValidation(issues) {
+  const nonTeachingLabels = document.getElementById('non-teaching-labels').value;
+  currentIssues = issues || validateSchedule(currentParseResult.teachers, nonTeachingLabels, null, readContractRulesFromUI());
 
-  if (!data.length) {
-    return { headers: ['Department', 'Teacher'], teachers: [], periodCols: [] };
+  if (currentBellPeriods) {
+    const bellCheck = checkAgainstBellSchedule(currentParseResult, currentBellPeriods);
+    currentIssues.push(...bellCheck.issues);
+    currentBellSuggestions = bellCheck.suggestions;
   }
 
-  const nonTeachingSet = new Set(
-    nonTeachingLabelsStr.split(',').map(s => s.trim().toLowerCase())
-  );
+  const hasErrors = currentIssues.some(i => i.severity === 'error');
+  document.getElementById('btn-download').disabled = hasErrors;
+  document.getElementById('btn-download-json').disabled = hasErrors;
+  document.getElementById('btn-download-xlsx').disabled = hasErrors;
+  document.getElementById('btn-download-zip').disabled = hasErrors || !currentParseResult.buildings;
+}
+
+function displayReview() {
+  // Update summary stats
+  const errorCount = currentIssues.filter(i => i.severity === 'error').length;
+  const warningCount = currentIssues.filter(i => i.severity === 'warning').length;
 
-  // Find columns by name
-  const headers = Object.keys(data[0]);
-  const teacherColName = findColumnName(headers, ['Teacher Name', 'Teacher', 'Name', 'Staff', 'Staff Name', 'Instructor']);
-  const deptColName = findColumnName(headers, ['Department', 'Dept', 'Subject', 'Subject Area']);
+  document.getElementById('stat-teachers').textContent = currentParseResult.teachers.length;
+  document.getElementById('stat-layout').textContent = {
+    long: 'One row per section',
+    transposed: 'Periods as rows (transposed)'
+  }[currentParseResult.layout] || 'One row per teacher';
+  document.getElementById('stat-term').textContent =
+    currentParseResult.term === 'ALL' ? 'All terms' : currentParseResult.term;
+  document.getElementById('stat-rotation').textContent = currentParseResult.rotation.days
+    .map(d => formatDayLabel(d, currentParseResult.rotation.style))
+    .join(', ');
+  document.getElementById('stat-errors').textContent = errorCount;
+  document.getElementById('stat-warnings').textContent = warningCount;
 
-  // Detect period columns (any header containing "Period", case-insensitive)
-  const periodColNames = headers.filter(h => h.toLowerCase().includes('period'));
+  renderIssues();
+  renderReviewGrid();
+}
 
-  // Build output rows — each period column expands into A Day + B Day
-  const teachers = [];
+/**
+ * Lists every issue; issues that point at cells jump to them in the grid.
+ */
+function renderIssues() {
+  const issuesList = document.getElementById('issues-list');
+  const issuesContainer = document.getElementById('issues-container');
 
-  for (const row of data) {
-    const teacherName = teacherColName ? String(row[teacherColName] || '').trim() : '';
-    const dept = deptColName ? String(row[deptColName] || '').trim() : '';
+  if (currentIssues.length === 0) {
+    issuesContainer.classList.add('hidden');
+    return;
+  }
+  issuesContainer.classList.remove('hidden');
+  issuesList.innerHTML = '';
+
+  currentIssues.forEach(issue => {
+    const div = document.createElement('div');
+    div.className = `issue ${issue.severity}`;
+    div.textContent = issue.message;
+    if (issue.cells && issue.cells.length) {
+      div.classList.add('linked');
+      div.title = 'Show in grid';
+      div.addEventListener('click', () => focusGridCell(issue.cells[0].row, issue.cells[0].col));
+    }
+    issuesList.appendChild(div);
+  });
+}
 
-    if (!teacherName) continue;
+// ============================================================================
+// Contract Rules (saved per district)
+// ============================================================================
 
-    const outputRow = [dept, teacherName];
+const CONTRACT_RULE_INPUTS = {
+  maxTeachingPerDay: 'rule-max-teaching',
+  minPrepPerDay: 'rule-min-prep',
+  maxConsecutive: 'rule-max-consecutive'
+};
+
+function readContractRulesFromUI() {
+  const rules = { ...DEFAULT_CONTRACT_RULES };
+  Object.entries(CONTRACT_RULE_INPUTS).forEach(([key, id]) => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    rules[key] = value > 0 ? value : null;
+  });
+  rules.dutyFreeLunch = document.getElementById('rule-lunch').checked;
+  return rules;
+}
 
-    for (const periodCol of periodColNames) {
-      const cellValue = String(row[periodCol] || '').trim();
+function writeContractRulesToUI(rules) {
+  Object.entries(CONTRACT_RULE_INPUTS).forEach(([key, id]) => {
+    document.getElementById(id).value = rules[key] || '';
+  });
+  document.getElementById('rule-lunch').checked = Boolean(rules.dutyFreeLunch);
+}
 
-      // Check if non-teaching label
-      if (nonTeachingSet.has(cellValue.toLowerCase())) {
-        outputRow.push('Prep'); // A Day
-        outputRow.push('Prep'); // B Day
-        continue;
-      }
+function loadRuleSets() {
+  try {
+    return JSON.parse(localStorage.getItem(RULE_SET_STORAGE_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
 
-      // Parse the multiline cell into A/B day classes
-      const { aDayClasses, bDayClasses } = parsePeriodCell(cellValue);
+function saveRuleSets(ruleSets) {
+  localStorage.setItem(RULE_SET_STORAGE_KEY, JSON.stringify(ruleSets));
+}
 
-      const aDayFormatted = formatClassForCsv(aDayClasses) || 'Prep';
-      const bDayFormatted = formatClassForCsv(bDayClasses) || 'Prep';
-      outputRow.push(aDayFormatted);
-      outputRow.push(bDayFormatted);
-    }
+function renderRuleSetSelect() {
+  const select = document.getElementById('rules-select');
+  select.innerHTML = '<option value="">— Saved rule sets —</option>';
+  loadRuleSets().forEach(ruleSet => {
+    const option = document.createElement('option');
+    option.value = ruleSet.name;
+    option.textContent = ruleSet.name;
+    select.appendChild(option);
+  });
+}
 
-    teachers.push({
-      teacher: teacherName,
-      dept,
-      data: outputRow
-    });
+function onSaveRuleSet() {
+  const name = document.getElementById('rules-name').value.trim();
+  if (!name) {
+    alert('Please enter a district name');
+    return;
   }
 
-  // Build output headers with A Day / B Day expansion
-  const outputHeaders = ['Department', 'Teacher'];
-  for (const periodCol of periodColNames) {
-    outputHeaders.push(`${periodCol} A Day`);
-    outputHeaders.push(`${periodCol} B Day`);
-  }
+  const ruleSets = loadRuleSets().filter(r => r.name !== name);
+  ruleSets.push({ name, rules: readContractRulesFromUI() });
+  saveRuleSets(ruleSets);
+  renderRuleSetSelect();
+  document.getElementById('rules-select').value = name;
+}
 
-  return {
-    headers: outputHeaders,
-    teachers,
-    periodCols: periodColNames
-  };
+function onApplyRuleSet() {
+  const name = document.getElementById('rules-select').value;
+  const ruleSet = loadRuleSets().find(r => r.name === name);
+  if (!ruleSet) return;
+
+  writeContractRulesToUI(ruleSet.rules);
+  document.getElementById('rules-name').value = name;
+  onCheckRules();
+}
+
+function onDeleteRuleSet() {
+  const name = document.getElementById('rules-select').value;
+  if (!name) return;
+  saveRuleSets(loadRuleSets().filter(r => r.name !== name));
+  renderRuleSetSelect();
 }
 
 /**
- * Find column name (returns the original header string, not index).
+ * Re-checks the current schedule (with any grid edits) against the rules on screen.
  */
-function findColumnName(headers, possibleNames) {
-  const lowerMap = {};
-  headers.forEach(h => { lowerMap[h.toLowerCase().trim()] = h; });
-  for (const name of possibleNames) {
-    const match = lowerMap[name.toLowerCase().trim()];
-    if (match) return match;
+function onCheckRules() {
+  if (!currentParseResult) return;
+  runValidation();
+  displayReview();
+}
+
+// ============================================================================
+// Background Worker
+// ============================================================================
+
+let parserWorker = null;
+let workerUnavailable = false;
+let workerHasWorkbook = false;
+let activeJob = null;
+
+/**
+ * The parser worker, created on first use. Returns null where workers are
+ * unavailable (old browsers, pages opened from file://), and jobs run inline.
+ */
+function getParserWorker() {
+  if (parserWorker) return parserWorker;
+  if (workerUnavailable || typeof Worker === 'undefined') return null;
+
+  try {
+    parserWorker = new Worker('worker.js');
+  } catch (err) {
+    // Blocked by a content security policy or a file:// page: stop trying
+    workerUnavailable = true;
+    return null;
   }
-  return null;
+  parserWorker.onmessage = (e) => onWorkerMessage(e.data);
+  parserWorker.onerror = (e) => {
+    // The worker itself failed (e.g. its scripts did not load): finish the job inline
+    e.preventDefault();
+    workerUnavailable = true;
+    const job = activeJob;
+    stopParserWorker();
+    if (job) finishJobInline(job);
+  };
+  return parserWorker;
+}
+
+function stopParserWorker() {
+  if (parserWorker) parserWorker.terminate();
+  parserWorker = null;
+  workerHasWorkbook = false;
+  activeJob = null;
+  hideProgress();
 }
 
 /**
- * Validation: checks for errors and warnings
+ * Runs a read or parse job in the worker, falling back to runInline().
+ * handlers: { onDone(result), onError(message), onIssues(issues) }
  */
-function validateSchedule(teachers, nonTeachingLabelsStr) {
-  const issues = [];
-  const nonTeachingSet = new Set(
-    nonTeachingLabelsStr.split(',').map(s => s.trim().toLowerCase())
-  );
+function runParserJob(message, runInline, handlers) {
+  if (activeJob) stopParserWorker();
+  const job = { message, runInline, handlers };
+  const worker = getParserWorker();
 
-  const seenTeachers = new Set();
-  const allCoursesStr = [];
+  if (!worker) {
+    finishJobInline(job);
+    return;
+  }
 
-  for (const teacher of teachers) {
-    // Error: missing teacher name
-    if (!teacher.teacher || teacher.teacher.trim() === '') {
-      issues.push({ severity: 'error', message: 'Missing teacher name in one row' });
-    }
+  activeJob = job;
+  showProgress(message.type === 'read' ? 'Reading workbook' : 'Parsing', null, true);
+  if (message.type === 'parse' && !workerHasWorkbook) {
+    worker.postMessage({ type: 'load', workbook: currentWorkbook });
+  }
+  worker.postMessage(message);
+}
 
-    // Warning: duplicate teacher
-    const teacherLower = teacher.teacher.toLowerCase();
-    if (seenTeachers.has(teacherLower)) {
-      issues.push({ severity: 'warning', message: `Duplicate teacher: ${teacher.teacher}` });
+function finishJobInline(job) {
+  showProgress(job.message.type === 'read' ? 'Reading workbook' : 'Parsing', null, false);
+  // Let the progress bar paint before the page blocks
+  setTimeout(() => {
+    try {
+      const result = job.runInline();
+      hideProgress();
+      job.handlers.onDone(result);
+    } catch (err) {
+      hideProgress();
+      job.handlers.onError(err.message);
     }
-    seenTeachers.add(teacherLower);
+  }, 20);
+}
+
+function onWorkerMessage(msg) {
+  const job = activeJob;
+  if (!job) return;
+
+  if (msg.type === 'progress') {
+    showProgress(msg.label, msg.fraction, true);
+  } else if (msg.type === 'issues') {
+    if (job.handlers.onIssues) job.handlers.onIssues(msg.issues);
+  } else if (msg.type === 'done') {
+    activeJob = null;
+    hideProgress();
+    if (job.message.type === 'read') workerHasWorkbook = true;
+    job.handlers.onDone(msg.result);
+  } else if (msg.type === 'error') {
+    activeJob = null;
+    hideProgress();
+    job.handlers.onError(msg.message);
+  }
+}
 
-    // Check for all-prep schedules
-    const dataStr = teacher.data.join('|').toLowerCase();
-    if (!dataStr.includes('(room:') && teacher.data.slice(2).every(c => c === 'Prep' || c === '')) {
-      issues.push({ severity: 'warning', message: `All-prep schedule: ${teacher.teacher}` });
+function onCancelJob() {
+  stopParserWorker();
+}
+
+function showProgress(label, fraction, cancellable) {
+  document.getElementById('progress').classList.remove('hidden');
+  document.getElementById('progress-label').textContent =
+    fraction === null ? `${label}…` : `${label}… ${Math.round(fraction * 100)}%`;
+  const fill = document.getElementById('progress-fill');
+  fill.classList.toggle('indeterminate', fraction === null);
+  fill.style.width = fraction === null ? '' : `${Math.round(fraction * 100)}%`;
+  document.getElementById('btn-cancel').classList.toggle('hidden', !cancellable);
+  document.getElementById('btn-upload').disabled = true;
+  document.getElementById('btn-parse').disabled = true;
+}
+
+function hideProgress() {
+  document.getElementById('progress').classList.add('hidden');
+  document.getElementById('btn-upload').disabled = !document.getElementById('excel-file').files[0];
+  document.getElementById('btn-parse').disabled = !currentWorkbook && !currentImportedJson;
+}
+
+// ============================================================================
+// Review Grid (virtual scrolling, editable cells)
+// ============================================================================
+
+const GRID_ROW_HEIGHT = 32;
+const GRID_OVERSCAN = 10;
+
+/**
+ * Highest-severity issue per cell, keyed "row:col".
+ */
+function issueCellMap() {
+  const rank = { error: 3, warning: 2, info: 1 };
+  const map = new Map();
+  for (const issue of currentIssues) {
+    for (const { row, col } of issue.cells || []) {
+      const key = `${row}:${col}`;
+      const existing = map.get(key);
+      if (!existing || rank[issue.severity] > rank[existing.severity]) map.set(key, issue);
     }
+  }
+  return map;
+}
+
+/**
+ * Renders the header and the rows currently in view. Only visible rows (plus
+ * an overscan margin) are in the DOM; spacer rows keep the scroll height right.
+ */
+function renderReviewGrid() {
+  const headerRow = document.getElementById('preview-header');
+  const tbody = document.getElementById('preview-body');
+  const scroller = document.getElementById('review-grid-scroll');
+  const { headers, teachers } = currentParseResult;
+
+  headerRow.innerHTML = '';
+  headers.forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    headerRow.appendChild(th);
+  });
+
+  const first = Math.max(0, Math.floor(scroller.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+  const visible = Math.ceil((scroller.clientHeight || 480) / GRID_ROW_HEIGHT) + GRID_OVERSCAN * 2;
+  const last = Math.min(teachers.length, first + visible);
+  const cellIssues = issueCellMap();
 
-    // Collect all course references for typo detection
-    for (let i = 2; i < teacher.data.length; i++) {
-      const cell = teacher.data[i];
-      if (cell && !cell.includes('(Room:') && cell !== 'Prep') {
-        allCoursesStr.push(cell);
+  const spacer = (rows) => {
+    const tr = document.createElement('tr');
+    tr.className = 'grid-spacer';
+    const td = document.createElement('td');
+    td.colSpan = headers.length;
+    td.style.height = `${rows * GRID_ROW_HEIGHT}px`;
+    tr.appendChild(td);
+    return tr;
+  };
+
+  tbody.innerHTML = '';
+  if (first > 0) tbody.appendChild(spacer(first));
+
+  for (let row = first; row < last; row++) {
+    const tr = document.createElement('tr');
+    tr.style.height = `${GRID_ROW_HEIGHT}px`;
+    teachers[row].data.forEach((cell, col) => {
+      const td = document.createElement('td');
+      td.textContent = cell;
+      td.title = cell;
+      td.contentEditable = 'true';
+      td.dataset.row = row;
+      td.dataset.col = col;
+      const issue = cellIssues.get(`${row}:${col}`);
+      if (issue) {
+        td.classList.add(`cell-${issue.severity}`);
+        td.title = `${cell}\n${issue.message}`;
       }
+      if (col === 0 && teachers[row].deptInferred) td.classList.add('cell-inferred');
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+
+  if (last < teachers.length) tbody.appendChild(spacer(teachers.length - last));
+
+  document.getElementById('truncation-note').textContent =
+    `${teachers.length} teachers × ${headers.length} columns. Click a cell to edit it; ` +
+    'Enter saves and re-checks the schedule, Escape cancels. Re-parsing the file discards edits.';
+}
+
+function onGridScroll() {
+  // Save an in-progress edit before its row is scrolled out of the DOM
+  const active = document.activeElement;
+  if (active && active.dataset && active.dataset.col !== undefined) active.blur();
+  renderReviewGrid();
+}
+
+function onGridCellBlur(e) {
+  const td = e.target;
+  if (!td.dataset || td.dataset.col === undefined) return;
+
+  const teacher = currentParseResult.teachers[Number(td.dataset.row)];
+  const col = Number(td.dataset.col);
+  if (td.textContent.trim() === String(teacher.data[col])) return;
+
+  applyCellEdit(
+    teacher,
+    col,
+    td.textContent,
+    document.getElementById('non-teaching-labels').value,
+    currentParseOptions.emptyCategory
+  );
+
+  // Re-render after the click that moved focus has landed, then put the cursor
+  // back where it was in the newly focused cell
+  const next = e.relatedTarget;
+  const nextCell = next && next.dataset && next.dataset.col !== undefined
+    ? { row: next.dataset.row, col: next.dataset.col }
+    : null;
+  requestAnimationFrame(() => {
+    const selection = window.getSelection();
+    const caret = selection.rangeCount > 0 && selection.anchorNode.parentNode === next
+      ? selection.anchorOffset
+      : null;
+
+    runValidation();
+    displayReview();
+
+    if (!nextCell) return;
+    const cell = document.querySelector(`#preview-body td[data-row="${nextCell.row}"][data-col="${nextCell.col}"]`);
+    if (!cell) return;
+    cell.focus();
+    const text = cell.firstChild;
+    if (text && caret !== null) {
+      selection.collapse(text, Math.min(caret, text.length));
     }
+  });
+}
+
+function onGridKeyDown(e) {
+  const td = e.target;
+  if (!td.dataset || td.dataset.col === undefined) return;
+
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    td.blur();
+  } else if (e.key === 'Escape') {
+    td.textContent = currentParseResult.teachers[Number(td.dataset.row)].data[Number(td.dataset.col)];
+    td.blur();
   }
+}
 
-  // Typo detection: check for misspellings of non-teaching labels (dedupe first)
-  const knownLabels = Array.from(nonTeachingSet);
-  const uniqueCourses = [...new Set(allCoursesStr)];
-  for (const course of uniqueCourses) {
-    const courseLower = course.toLowerCase();
-    for (const label of knownLabels) {
-      const dist = levenshteinDistance(courseLower, label);
-      if (dist > 0 && dist <= 2 && !courseLower.includes('(room:')) {
-        issues.push({
-          severity: 'warning',
-          message: `Possible typo: "${course}" (similar to "${label}")`
-        });
-        break; // Only warn once per course
-      }
+/**
+ * Scrolls the grid to a cell, renders it and puts the cursor in it.
+ */
+function focusGridCell(row, col) {
+  const scroller = document.getElementById('review-grid-scroll');
+  scroller.scrollTop = Math.max(0, row * GRID_ROW_HEIGHT - scroller.clientHeight / 2);
+  renderReviewGrid();
+
+  const td = document.querySelector(`#preview-body td[data-row="${row}"][data-col="${col}"]`);
+  if (!td) return;
+  scroller.scrollLeft = Math.max(0, td.offsetLeft - scroller.clientWidth / 2);
+  td.focus();
+}
+
+function onBellFileUpload() {
+  const file = document.getElementById('bell-file').files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      currentBellPeriods = extractBellPeriodNames(JSON.parse(e.target.result));
+      document.getElementById('bell-status').textContent =
+        `${file.name}: ${currentBellPeriods.length} bell periods (${currentBellPeriods.join(', ')})`;
+      onParse();
+    } catch (err) {
+      currentBellPeriods = null;
+      alert(`Error reading bell schedule: ${err.message}`);
     }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Rename table: one row per master period column with a bell period picker,
+ * preselected with the current rename or a loose-match suggestion.
+ */
+function renderBellRenames() {
+  const container = document.getElementById('bell-renames');
+  const tbody = document.getElementById('bell-renames-body');
+  tbody.innerHTML = '';
+
+  if (!currentBellPeriods) {
+    container.classList.add('hidden');
+    return;
   }
+  container.classList.remove('hidden');
+
+  currentParseResult.periodCols.forEach(col => {
+    const tr = document.createElement('tr');
+    tr.dataset.col = col;
+
+    const nameTd = document.createElement('td');
+    nameTd.textContent = col;
+
+    const selectTd = document.createElement('td');
+    const select = document.createElement('select');
+    select.className = 'bell-rename-select';
+    const selected = currentPeriodRenames[col] || currentBellSuggestions[col] || '';
+    [''].concat(currentBellPeriods).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name || '— keep column name —';
+      if (name === selected || (!selected && name === col)) option.selected = true;
+      select.appendChild(option);
+    });
+    selectTd.appendChild(select);
 
-  return issues;
+    tr.append(nameTd, selectTd);
+    tbody.appendChild(tr);
+  });
 }
 
-// ============================================================================
-// CSV Generation
-// ============================================================================
+function onApplyRenames() {
+  const renames = {};
+  document.querySelectorAll('#bell-renames-body tr').forEach(tr => {
+    const value = tr.querySelector('.bell-rename-select').value;
+    if (value && value !== tr.dataset.col) renames[tr.dataset.col] = value;
+  });
+  currentPeriodRenames = renames;
+  onParse();
+}
 
-function generateCsv(headers, teachers) {
-  const rows = [];
-  rows.push(headers.map(escapeCsv).join(','));
+function loadCourseAliases() {
+  try {
+    return JSON.parse(localStorage.getItem(COURSE_ALIAS_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function saveCourseAliases(aliases) {
+  localStorage.setItem(COURSE_ALIAS_STORAGE_KEY, JSON.stringify(aliases));
+}
 
-  for (const teacher of teachers) {
-    rows.push(teacher.data.map(escapeCsv).join(','));
+/**
+ * One row per group of similar course spellings, with a picker for the canonical name.
+ */
+function renderCourseGroups() {
+  const container = document.getElementById('course-groups');
+  const list = document.getElementById('course-groups-list');
+  const aliasCount = Object.keys(loadCourseAliases()).length;
+  list.innerHTML = '';
+
+  document.getElementById('course-alias-status').textContent = aliasCount
+    ? `${aliasCount} saved alias${aliasCount !== 1 ? 'es' : ''} applied.`
+    : 'No saved aliases.';
+
+  if (currentCourseGroups.length === 0) {
+    list.innerHTML = '<div class="issue info">No inconsistent course spellings found.</div>';
+    document.getElementById('btn-apply-course-names').disabled = true;
+    container.classList.remove('hidden');
+    return;
   }
 
-  return rows.join('\n');
+  currentCourseGroups.forEach((group, g) => {
+    const row = document.createElement('div');
+    row.className = 'course-group';
+
+    const variants = document.createElement('span');
+    variants.textContent = group.variants.map(v => `${v.name} (${v.count})`).join(', ');
+
+    const select = document.createElement('select');
+    select.className = 'course-canonical-select';
+    select.dataset.group = g;
+    group.variants.forEach(v => {
+      const option = document.createElement('option');
+      option.value = v.name;
+      option.textContent = v.name;
+      if (v.name === group.canonical && !group.fuzzy) option.selected = true;
+      select.appendChild(option);
+    });
+    // Spellings matched only as likely typos are left alone unless the user picks a name
+    const skip = document.createElement('option');
+    skip.value = '';
+    skip.textContent = '— leave as is —';
+    if (group.fuzzy) skip.selected = true;
+    select.appendChild(skip);
+
+    row.append(variants, select);
+    list.appendChild(row);
+  });
+
+  document.getElementById('btn-apply-course-names').disabled = false;
+  container.classList.remove('hidden');
 }
 
-// ============================================================================
-// UI State & Event Handlers
-// ============================================================================
+/**
+ * Saves the chosen canonical names as aliases and re-parses so the export uses them.
+ */
+function onApplyCourseNames() {
+  const aliases = loadCourseAliases();
+  document.querySelectorAll('.course-canonical-select').forEach(select => {
+    const canonical = select.value;
+    if (!canonical) return;
+    currentCourseGroups[Number(select.dataset.group)].variants.forEach(v => {
+      if (v.name !== canonical) aliases[v.name.toLowerCase()] = canonical;
+    });
+  });
+  saveCourseAliases(aliases);
+  onParse();
+}
 
-let currentWorkbook = null;
-let currentParseResult = null;
-let currentIssues = [];
+function onDownloadCourseAliases() {
+  downloadFile(JSON.stringify(loadCourseAliases(), null, 2), 'course_aliases.json', 'application/json');
+}
 
-function onFileUpload() {
-  const file = document.getElementById('excel-file').files[0];
+function onImportCourseAliases() {
+  const file = document.getElementById('course-alias-file').files[0];
   if (!file) return;
 
   const reader = new FileReader();
   reader.onload = (e) => {
     try {
-      currentWorkbook = XLSX.read(e.target.result, { type: 'array' });
-      const sheets = currentWorkbook.SheetNames;
-
-      const select = document.getElementById('sheet-select');
-      select.innerHTML = '';
-      sheets.forEach(name => {
-        const option = document.createElement('option');
-        option.value = name;
-        option.textContent = name;
-        select.appendChild(option);
+      const imported = JSON.parse(e.target.result);
+      const aliases = loadCourseAliases();
+      Object.entries(imported).forEach(([variant, canonical]) => {
+        if (typeof canonical === 'string') aliases[variant.toLowerCase()] = canonical;
       });
-
-      // Show upload summary, enable parse button
-      document.getElementById('upload-summary').classList.remove('hidden');
-      document.getElementById('btn-parse').disabled = false;
+      saveCourseAliases(aliases);
+      if (currentParseResult) onParse();
     } catch (err) {
-      alert(`Error reading file: ${err.message}`);
+      alert(`Error reading alias table: ${err.message}`);
     }
   };
+  reader.readAsText(file);
+}
+
+function onClearCourseAliases() {
+  if (!confirm('Remove all saved course aliases?')) return;
+  saveCourseAliases({});
+  if (currentParseResult) onParse();
+}
+
+/**
+ * Parses an earlier version of the master schedule with the current settings
+ * and lists what changed in the current upload.
+ */
+function onCompareFileUpload() {
+  const file = document.getElementById('compare-file').files[0];
+  if (!file || !currentParseResult) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const buffer = e.target.result;
+    const sheetNames = selectedSheetNames();
+    const nonTeachingLabels = document.getElementById('non-teaching-labels').value;
+    runParserJob(
+      { type: 'compare', buffer, sheetNames, labels: nonTeachingLabels, options: currentParseOptions },
+      () => parseComparisonWorkbook(buffer, sheetNames, nonTeachingLabels, currentParseOptions),
+      {
+        onDone: (oldResult) => {
+          try {
+            currentCompareResult = oldResult;
+            currentDiff = diffSchedules(oldResult, currentParseResult);
+            displayDiff(file.name);
+          } catch (err) {
+            alert(`Error comparing files: ${err.message}`);
+          }
+        },
+        onError: (message) => alert(`Error comparing files: ${message}`)
+      }
+    );
+  };
   reader.readAsArrayBuffer(file);
 }
 
-function onParse() {
-  if (!currentWorkbook) {
-    alert('Please upload a file first');
-    return;
+function displayDiff(fileName) {
+  const counts = {};
+  currentDiff.changes.forEach(c => { counts[c.type] = (counts[c.type] || 0) + 1; });
+
+  document.getElementById('diff-summary').textContent = currentDiff.changes.length
+    ? `Compared with ${fileName}: ` + Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ')
+    : `No changes compared with ${fileName}.`;
+
+  const list = document.getElementById('diff-list');
+  list.innerHTML = '';
+  currentDiff.changes.slice(0, 50).forEach(c => {
+    const div = document.createElement('div');
+    div.className = 'issue info';
+    div.textContent = c.column && c.type !== 'Department Changed'
+      ? `${c.type}: ${c.teacher}, ${c.column}: "${c.before}" → "${c.after}"`
+      : c.before || c.after
+        ? `${c.type}: ${c.teacher}: "${c.before}" → "${c.after}"`
+        : `${c.type}: ${c.teacher}`;
+    list.appendChild(div);
+  });
+  if (currentDiff.changes.length > 50) {
+    const div = document.createElement('div');
+    div.className = 'issue info';
+    div.textContent = `... and ${currentDiff.changes.length - 50} more changes (see the change log CSV)`;
+    list.appendChild(div);
   }
 
-  const sheetName = document.getElementById('sheet-select').value;
-  const nonTeachingLabels = document.getElementById('non-teaching-labels').value;
+  document.getElementById('diff-results').classList.remove('hidden');
+  document.getElementById('btn-download-changelog').disabled = currentDiff.changes.length === 0;
+}
 
-  try {
-    currentParseResult = parseExcelSchedule(currentWorkbook, sheetName, nonTeachingLabels);
-    currentIssues = validateSchedule(currentParseResult.teachers, nonTeachingLabels);
+/**
+ * Downloads the change log. With the anonymize option on, both versions go
+ * through the same pseudonym mapping, so the log matches the other exports
+ * and the key file.
+ */
+function onDownloadChangeLog() {
+  if (!currentDiff) return;
+
+  let diff = currentDiff;
+  if (document.getElementById('anonymize').checked) {
+    exportParseResult();
+    const current = currentPseudonyms.teachers;
+    const old = pseudonymizeTeachers(currentCompareResult.teachers, {
+      shuffleRooms: document.getElementById('shuffle-rooms').checked,
+      mapping: currentPseudonyms.mapping
+    });
+    // Teachers only in the older file join the mapping, and so the key file
+    currentPseudonyms = { ...currentPseudonyms, mapping: old.mapping };
+    diff = diffSchedules({ ...currentCompareResult, teachers: old.teachers }, { ...currentParseResult, teachers: current });
+  }
+  downloadFile(generateChangeLogCsv(diff), `${outputBaseName()}_changes.csv`, 'text/csv;charset=utf-8;');
+}
 
-    displayReview();
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
 
-    // Enable Step 2 (review) and Step 3 (download)
-    document.getElementById('step-review').classList.remove('disabled');
-    document.getElementById('step-download').classList.remove('disabled');
+function outputBaseName() {
+  return currentParseResult.term === 'ALL'
+    ? 'master_schedule'
+    : `master_schedule_${currentParseResult.term}`;
+}
 
-    // Enable download button if no errors
-    const hasErrors = currentIssues.some(i => i.severity === 'error');
-    document.getElementById('btn-download').disabled = hasErrors;
+/**
+ * The parse result to export: the real one, or a pseudonymized copy when the
+ * anonymize option is on, with detail fields added to the cells when that
+ * option is on. The pseudonym mapping is kept across grid edits and re-parses
+ * so CSV, JSON and key file agree; it is reset when the anonymize options
+ * change or a new file is loaded.
+ */
+function exportParseResult() {
+  let result = currentParseResult;
 
-  } catch (err) {
-    alert(`Parse error: ${err.message}`);
+  if (document.getElementById('anonymize').checked) {
+    currentPseudonyms = pseudonymizeTeachers(currentParseResult.teachers, {
+      shuffleRooms: document.getElementById('shuffle-rooms').checked,
+      mapping: currentPseudonyms && currentPseudonyms.mapping
+    });
+    result = { ...result, teachers: currentPseudonyms.teachers };
   }
-}
 
-function displayReview() {
-  // Update summary stats
-  const errorCount = currentIssues.filter(i => i.severity === 'error').length;
-  const warningCount = currentIssues.filter(i => i.severity === 'warning').length;
+  return document.getElementById('csv-details').checked ? withDetailsInCells(result) : result;
+}
 
-  document.getElementById('stat-teachers').textContent = currentParseResult.teachers.length;
-  document.getElementById('stat-errors').textContent = errorCount;
-  document.getElementById('stat-warnings').textContent = warningCount;
+function resetPseudonyms() {
+  currentPseudonyms = null;
+  document.getElementById('btn-download-key').disabled = !document.getElementById('anonymize').checked;
+}
 
-  // Show issues (max 20)
-  const issuesList = document.getElementById('issues-list');
-  const issuesContainer = document.getElementById('issues-container');
+function onDownloadPseudonymKey() {
+  if (!currentParseResult || !document.getElementById('anonymize').checked) return;
+  exportParseResult();
+  const key = { createdAt: new Date().toISOString(), ...currentPseudonyms.key };
+  downloadFile(JSON.stringify(key, null, 2), `${outputBaseName()}_pseudonym_key.json`, 'application/json');
+}
 
-  if (currentIssues.length > 0) {
-    issuesContainer.classList.remove('hidden');
-    issuesList.innerHTML = '';
+function onDownload() {
+  if (!currentParseResult) {
+    alert('No data to download');
+    return;
+  }
 
-    currentIssues.slice(0, 20).forEach(issue => {
-      const div = document.createElement('div');
-      div.className = `issue ${issue.severity}`;
-      div.textContent = issue.message;
-      issuesList.appendChild(div);
-    });
+  const result = exportParseResult();
+  const csv = generateCsv(result.headers, result.teachers);
+  downloadFile(csv, `${outputBaseName()}.csv`, 'text/csv;charset=utf-8;');
+}
 
-    if (currentIssues.length > 20) {
-      const div = document.createElement('div');
-      div.className = 'issue info';
-      div.textContent = `... and ${currentIssues.length - 20} more issues`;
-      issuesList.appendChild(div);
-    }
-  } else {
-    issuesContainer.classList.add('hidden');
+function onDownloadJson() {
+  if (!currentParseResult) {
+    alert('No data to download');
+    return;
   }
 
-  // Build preview table (first 15 teachers, first 8 columns)
-  const headerRow = document.getElementById('preview-header');
-  const tbody = document.getElementById('preview-body');
+  const json = JSON.stringify(buildScheduleJson(exportParseResult()), null, 2);
+  downloadFile(json, `${outputBaseName()}.json`, 'application/json');
+}
 
-  headerRow.innerHTML = '';
-  tbody.innerHTML = '';
+/**
+ * One CSV per building, in the single-sheet format (no Building column and
+ * only the period columns that building uses).
+ */
+function buildBuildingCsvs(parseResult) {
+  const buildingCol = parseResult.headers.length - 1;
+  return parseResult.buildings.map(building => {
+    const teachers = parseResult.teachers.filter(t => t.building === building);
+    const usedCols = new Set(teachers.flatMap(t => t.slots.map(slot => slot.col)));
+    const cols = parseResult.headers
+      .map((h, c) => c)
+      .filter(c => c < 2 || (c !== buildingCol && usedCols.has(c)));
+    return {
+      building,
+      csv: generateCsv(
+        cols.map(c => parseResult.headers[c]),
+        teachers.map(t => ({ data: cols.map(c => t.data[c]) }))
+      )
+    };
+  });
+}
 
-  // Show first 8 columns of headers
-  const displayHeaders = currentParseResult.headers.slice(0, 8);
-  displayHeaders.forEach(h => {
-    const th = document.createElement('th');
-    th.textContent = h;
-    headerRow.appendChild(th);
+function onDownloadZip() {
+  if (!currentParseResult || !currentParseResult.buildings) {
+    alert('No buildings to download');
+    return;
+  }
+
+  const zip = new JSZip();
+  const base = outputBaseName();
+  buildBuildingCsvs(exportParseResult()).forEach(({ building, csv }) => {
+    const safeName = safeFileName(building) || 'sheet';
+    zip.file(`${base}_${safeName}.csv`, csv);
   });
+  zip.generateAsync({ type: 'blob' })
+    .then(blob => downloadFile(blob, `${base}_by_building.zip`, 'application/zip'))
+    .catch(err => alert(`Error building zip: ${err.message}`));
+}
 
-  // Show first 15 rows
-  const displayRows = currentParseResult.teachers.slice(0, 15);
-  displayRows.forEach(teacher => {
-    const tr = document.createElement('tr');
-    teacher.data.slice(0, 8).forEach(cell => {
-      const td = document.createElement('td');
-      td.textContent = cell;
-      tr.appendChild(td);
+// ============================================================================
+// Teacher Schedule PDF (jsPDF + AutoTable)
+// ============================================================================
+
+/**
+ * Landscape PDF with one page per teacher: name, department/building/term
+ * line, and the period × day table.
+ */
+function createTeacherSchedulePdf(teachers, parseResult) {
+  const { jsPDF } = window.jspdf;
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+  const termLabel = parseResult.term === 'ALL' ? 'All terms' : `Term: ${parseResult.term}`;
+
+  teachers.forEach((teacher, i) => {
+    if (i > 0) pdf.addPage();
+
+    pdf.setFontSize(18);
+    pdf.setTextColor(30);
+    pdf.text(teacher.teacher || '(No name)', 36, 48);
+
+    pdf.setFontSize(9);
+    pdf.setTextColor(120);
+    pdf.text([teacher.dept, teacher.building, termLabel].filter(Boolean).join('  ·  '), 36, 64);
+
+    const { head, body, nonTeaching } = teacherScheduleTable(teacher, parseResult);
+    pdf.autoTable({
+      startY: 76,
+      head,
+      body,
+      theme: 'grid',
+      styles: { fontSize: 8, cellPadding: 4, valign: 'top', lineColor: [220, 220, 220], lineWidth: 0.5 },
+      headStyles: { fillColor: [242, 242, 242], textColor: [30, 30, 30], fontStyle: 'bold' },
+      columnStyles: { 0: { cellWidth: 80, fontStyle: 'bold' } },
+      didParseCell: function (data) {
+        // Non-teaching categories (Prep, Lunch, Duty) in gray italics
+        if (data.section === 'body' && nonTeaching[data.row.index][data.column.index]) {
+          data.cell.styles.textColor = [140, 140, 140];
+          data.cell.styles.fontStyle = 'italic';
+        }
+      },
+      margin: { left: 36, right: 36 }
     });
-    tbody.appendChild(tr);
   });
 
-  // Show truncation note if needed
-  const truncNote = document.getElementById('truncation-note');
-  if (currentParseResult.teachers.length > 15 || currentParseResult.headers.length > 8) {
-    truncNote.classList.remove('hidden');
-    let msg = '';
-    if (currentParseResult.teachers.length > 15) {
-      msg += `Showing 15 of ${currentParseResult.teachers.length} teachers. `;
-    }
-    if (currentParseResult.headers.length > 8) {
-      msg += `Showing 8 of ${currentParseResult.headers.length} columns.`;
+  return pdf;
+}
+
+function renderPdfDeptFilter() {
+  const select = document.getElementById('pdf-dept');
+  const depts = [...new Set(currentParseResult.teachers.map(t => t.dept).filter(Boolean))].sort();
+  select.innerHTML = '<option value="">All departments</option>';
+  depts.forEach(dept => {
+    const option = document.createElement('option');
+    option.value = dept;
+    option.textContent = dept;
+    select.appendChild(option);
+  });
+  document.getElementById('btn-download-pdf').disabled = false;
+}
+
+function safeFileName(name) {
+  return String(name).replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * One PDF with a page per teacher, or a zip of one PDF per teacher.
+ */
+function onDownloadPdf() {
+  if (!currentParseResult) {
+    alert('No data to download');
+    return;
+  }
+
+  const result = exportParseResult();
+  const dept = document.getElementById('pdf-dept').value;
+  const teachers = result.teachers.filter(t => !dept || t.dept === dept);
+  if (!teachers.length) {
+    alert('No teachers in this department');
+    return;
+  }
+
+  const base = `${outputBaseName()}_teachers${dept ? `_${safeFileName(dept)}` : ''}`;
+
+  try {
+    if (document.getElementById('pdf-combined').checked) {
+      createTeacherSchedulePdf(teachers, result).save(`${base}.pdf`);
+      return;
     }
-    truncNote.textContent = msg;
-  } else {
-    truncNote.classList.add('hidden');
+
+    const zip = new JSZip();
+    const used = {};
+    teachers.forEach(teacher => {
+      const name = safeFileName(teacher.teacher) || 'teacher';
+      used[name] = (used[name] || 0) + 1;
+      const fileName = used[name] > 1 ? `${name}_${used[name]}.pdf` : `${name}.pdf`;
+      zip.file(fileName, createTeacherSchedulePdf([teacher], result).output('blob'));
+    });
+    zip.generateAsync({ type: 'blob' })
+      .then(blob => downloadFile(blob, `${base}.zip`, 'application/zip'))
+      .catch(err => alert(`Error building zip: ${err.message}`));
+  } catch (err) {
+    alert(`Error building PDF: ${err.message}`);
   }
 }
 
-function onDownload() {
+function onDownloadXlsx() {
   if (!currentParseResult) {
     alert('No data to download');
     return;
   }
 
-  const csv = generateCsv(currentParseResult.headers, currentParseResult.teachers);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = 'master_schedule.csv';
-  link.click();
-  URL.revokeObjectURL(link.href);
+  buildScheduleXlsx(exportParseResult()).xlsx.writeBuffer()
+    .then(buffer => downloadFile(
+      buffer,
+      `${outputBaseName()}.xlsx`,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ))
+    .catch(err => alert(`Error building XLSX: ${err.message}`));
 }
 
 function onStartOver() {
@@ -468,6 +1355,50 @@ document.getElementById('excel-file').addEventListener('change', function() {
 });
 
 document.getElementById('btn-upload').addEventListener('click', onFileUpload);
+document.getElementById('sheet-select').addEventListener('change', () => renderColumnMapping());
+document.getElementById('btn-select-all-sheets').addEventListener('click', () => {
+  [...document.getElementById('sheet-select').options].forEach(option => { option.selected = true; });
+  renderColumnMapping();
+});
+document.getElementById('layout-select').addEventListener('change', () => {
+  try {
+    renderColumnMapping();
+  } catch (err) {
+    alert(`Error reading sheet: ${err.message}`);
+  }
+});
+document.getElementById('course-catalog').addEventListener('change', function() {
+  localStorage.setItem(COURSE_CATALOG_STORAGE_KEY, this.value);
+});
+document.getElementById('btn-save-profile').addEventListener('click', onSaveProfile);
+document.getElementById('btn-apply-profile').addEventListener('click', onApplyProfile);
+document.getElementById('btn-delete-profile').addEventListener('click', onDeleteProfile);
 document.getElementById('btn-parse').addEventListener('click', onParse);
+document.getElementById('btn-cancel').addEventListener('click', onCancelJob);
+document.getElementById('bell-file').addEventListener('change', onBellFileUpload);
+document.getElementById('btn-apply-renames').addEventListener('click', onApplyRenames);
+document.getElementById('btn-apply-course-names').addEventListener('click', onApplyCourseNames);
+document.getElementById('btn-download-aliases').addEventListener('click', onDownloadCourseAliases);
+document.getElementById('course-alias-file').addEventListener('change', onImportCourseAliases);
+document.getElementById('btn-clear-aliases').addEventListener('click', onClearCourseAliases);
+document.getElementById('btn-save-rules-set').addEventListener('click', onSaveRuleSet);
+document.getElementById('btn-apply-rules-set').addEventListener('click', onApplyRuleSet);
+document.getElementById('btn-delete-rules-set').addEventListener('click', onDeleteRuleSet);
+document.getElementById('btn-check-rules').addEventListener('click', onCheckRules);
+document.getElementById('compare-file').addEventListener('change', onCompareFileUpload);
+document.getElementById('review-grid-scroll').addEventListener('scroll', onGridScroll);
+document.getElementById('preview-body').addEventListener('focusout', onGridCellBlur);
+document.getElementById('preview-body').addEventListener('keydown', onGridKeyDown);
+document.getElementById('anonymize').addEventListener('change', resetPseudonyms);
+document.getElementById('shuffle-rooms').addEventListener('change', resetPseudonyms);
+document.getElementById('btn-download-key').addEventListener('click', onDownloadPseudonymKey);
 document.getElementById('btn-download').addEventListener('click', onDownload);
+document.getElementById('btn-download-changelog').addEventListener('click', onDownloadChangeLog);
+document.getElementById('btn-download-json').addEventListener('click', onDownloadJson);
+document.getElementById('btn-download-xlsx').addEventListener('click', onDownloadXlsx);
+document.getElementById('btn-download-pdf').addEventListener('click', onDownloadPdf);
+document.getElementById('btn-download-zip').addEventListener('click', onDownloadZip);
 document.getElementById('btn-start-over').addEventListener('click', onStartOver);
+
+document.getElementById('course-catalog').value = localStorage.getItem(COURSE_CATALOG_STORAGE_KEY) || '';
+renderRuleSetSelect();
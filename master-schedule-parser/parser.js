@@ -0,0 +1,2536 @@
+/**
+ * Master Schedule Parser — parsing, validation and export
+ * Shared by the page (app.js) and the background worker (worker.js); no DOM access here.
+ */
+
+// Rows between progress reports from the parse and validation loops
+const PROGRESS_EVERY = 25;
+
+// ============================================================================
+// Core Parser Functions
+// ============================================================================
+
+/**
+ * Parses a multiline Excel cell like:
+ * "AP Statistics\n      FY  Room:B208  Days:A\nGeometry\n      FY  Room:B208  Days:B"
+ *
+ * Returns: { classes: [{course, room, type, days}] } where days is the list of
+ * rotation day tokens from the details line, or null when the class meets every day.
+ */
+function parsePeriodCell(cellValue, rotationStyle = 'letter', detailFields = [], cycleLength = null) {
+  if (!cellValue || cellValue.trim() === '') {
+    return { classes: [] };
+  }
+
+  const lines = cellValue.split('\n');
+  const classes = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Check if next line is a details line (contains Room:, Days: or a detail field)
+    const hasDetailsLine = (i + 1 < lines.length) &&
+                          (lines[i + 1].includes('Room:') || lines[i + 1].includes('Days:') ||
+                           detailFields.some(field => field.regex.test(lines[i + 1])));
+
+    if (hasDetailsLine) {
+      const course = line.trim();
+      const detailsLine = lines[i + 1];
+
+      // Extract room, type (FY/S1/S2/Q1/Q2/Q3/Q4), and days
+      const roomMatch = detailsLine.match(/Room:(\S+)/);
+      const typeMatch = detailsLine.match(/\b(FY|S1|S2|Q1|Q2|Q3|Q4)\b/);
+      const daysRaw = extractDaysToken(detailsLine);
+
+      const room = roomMatch ? roomMatch[1] : '';
+      const type = typeMatch ? typeMatch[1] : 'FY';
+      const days = daysRaw ? tokenizeDays(daysRaw, rotationStyle, cycleLength) : null;
+
+      const details = extractDetailFields(detailsLine, detailFields);
+
+      // No specific day mentioned means the class meets every rotation day
+      classes.push({
+        course, room, type, days: days && days.length ? days : null,
+        ...(Object.keys(details).length ? { details } : {})
+      });
+
+      i += 2;
+    } else {
+      // Course line without details, meets every day
+      const course = line.trim();
+      if (course) {
+        classes.push({ course, room: '', type: 'FY', days: null });
+      }
+      i += 1;
+    }
+  }
+
+  return { classes };
+}
+
+// ============================================================================
+// Detail Fields
+// ============================================================================
+
+// One "Name = regex" per line; the first capture group (or the whole match) is
+// the value. "Section" and "Course Code" also feed the duplicate section check.
+const DEFAULT_DETAIL_FIELDS = [
+  'Section = Sec(?:tion)?\\s*[:#]\\s*(\\w+)',
+  'Course Code = (?:Crs|Course)\\s*[:#]\\s*(\\w+)',
+  'Seats = Seats\\s*[:#]?\\s*(\\d+\\s*/\\s*\\d+)'
+].join('\n');
+
+/**
+ * Parses the detail field setting into [{ name, regex }] (case-insensitive).
+ */
+function parseDetailFields(text) {
+  const fields = [];
+  String(text || '').split('\n').forEach(line => {
+    const eq = line.indexOf('=');
+    if (eq < 0) return;
+    const name = line.slice(0, eq).trim();
+    const source = line.slice(eq + 1).trim();
+    if (!name || !source) return;
+
+    try {
+      fields.push({ name, regex: new RegExp(source, 'i') });
+    } catch (err) {
+      throw new Error(`Detail field "${name}": ${err.message}`);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Values of the detail fields found on a details line: { Section: '03', Seats: '28/30' }
+ */
+function extractDetailFields(detailsLine, detailFields) {
+  const details = {};
+  for (const field of detailFields) {
+    const match = detailsLine.match(field.regex);
+    if (match) details[field.name] = (match[1] !== undefined ? match[1] : match[0]).replace(/\s+/g, '');
+  }
+  return details;
+}
+
+// ============================================================================
+// Rotation Days
+// ============================================================================
+
+const WEEKDAY_ORDER = ['M', 'T', 'W', 'Th', 'F'];
+const WEEKDAY_NAMES = { M: 'Monday', T: 'Tuesday', W: 'Wednesday', Th: 'Thursday', F: 'Friday' };
+const WEEKDAY_PATTERN = /^(?:(?:Th|Tu|M|T|W|R|F)[\s,\/-]*)+$/i;
+
+/**
+ * Pulls the raw value after "Days:" from a details line: "Days:AC", "Days: M,W,F", "Days:1-3"
+ */
+function extractDaysToken(detailsLine) {
+  const match = detailsLine.match(/Days:\s*(\S+(?:\s*,\s*\S+)*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Splits a raw days value into individual day tokens for the given rotation style:
+ *   letter  — "AC" → ['A', 'C'], "A-C" → ['A', 'B', 'C']
+ *   number  — "1,3,5" / "135" → ['1', '3', '5'], "1-3" → ['1', '2', '3'], "10" → ['10']
+ *   weekday — "MWF" / "M,W,F" → ['M', 'W', 'F'], "TTh" → ['T', 'Th'], "M-F" → all five
+ * cycleLength, when known, decides whether a digit run such as "12" is one day or several.
+ */
+function tokenizeDays(raw, style, cycleLength = null) {
+  const tokens = [];
+  const parts = String(raw).split(/[,\/;\s]+/).map(p => p.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    const range = part.match(/^(\w+?)\s*[-–]\s*(\w+)$/);
+
+    if (style === 'weekday') {
+      if (range) {
+        const from = WEEKDAY_ORDER.indexOf(normalizeWeekday(range[1]));
+        const to = WEEKDAY_ORDER.indexOf(normalizeWeekday(range[2]));
+        if (from !== -1 && to !== -1) {
+          tokens.push(...WEEKDAY_ORDER.slice(from, to + 1));
+          continue;
+        }
+      }
+      (part.match(/Th|Tu|M|T|W|R|F/gi) || []).forEach(t => tokens.push(normalizeWeekday(t)));
+    } else if (style === 'number') {
+      if (range && /^\d+$/.test(range[1]) && /^\d+$/.test(range[2])) {
+        for (let n = Number(range[1]); n <= Number(range[2]); n++) tokens.push(String(n));
+      } else if (/^\d+$/.test(part)) {
+        // "135" means days 1, 3 and 5 unless the days are comma-separated
+        if (parts.length === 1) tokens.push(...splitDigitRun(part, cycleLength));
+        else tokens.push(String(Number(part)));
+      }
+    } else {
+      if (range && range[1].length === 1 && range[2].length === 1) {
+        const from = range[1].toUpperCase().charCodeAt(0);
+        const to = range[2].toUpperCase().charCodeAt(0);
+        for (let c = from; c <= to; c++) tokens.push(String.fromCharCode(c));
+      } else {
+        tokens.push(...part.toUpperCase().replace(/[^A-Z]/g, '').split(''));
+      }
+    }
+  }
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Day numbers in an unseparated digit run. The run is one day when it is a
+ * valid day of the cycle (single-digit days when the cycle is unknown); it is
+ * split into single days only when every digit is a distinct day of the cycle,
+ * so "10", "11" and "20" stay whole.
+ */
+function splitDigitRun(run, cycleLength) {
+  const cycle = cycleLength || 9;
+  const number = Number(run);
+  if (number >= 1 && number <= cycle) return [String(number)];
+
+  const digits = run.split('');
+  const splittable = digits.every(d => Number(d) >= 1 && Number(d) <= cycle) && new Set(digits).size === digits.length;
+  return splittable ? digits : [String(number)];
+}
+
+function normalizeWeekday(token) {
+  const t = token.toLowerCase();
+  if (t === 'th' || t === 'r') return 'Th';
+  if (t === 'tu' || t === 't') return 'T';
+  return token.toUpperCase();
+}
+
+/**
+ * Detects the rotation from every raw "Days:" value in the sheet.
+ * Returns { style, days } — defaults to an A/B rotation when no days are listed.
+ */
+function detectRotation(rawDayValues) {
+  const values = rawDayValues.filter(Boolean);
+  if (values.length === 0) {
+    return { style: 'letter', days: ['A', 'B'] };
+  }
+
+  let style = 'letter';
+  if (values.every(v => /^[\d\s,\/;-]+$/.test(v))) {
+    style = 'number';
+  } else if (values.every(v => WEEKDAY_PATTERN.test(v)) && values.some(v => /[MTWR]/i.test(v))) {
+    style = 'weekday';
+  }
+
+  const found = new Set();
+  values.forEach(v => tokenizeDays(v, style).forEach(t => found.add(t)));
+
+  let days;
+  if (style === 'weekday') {
+    days = [...WEEKDAY_ORDER];
+  } else if (style === 'number') {
+    // Re-read digit runs against the cycle found so far until it stops growing
+    let max = Math.max(2, ...[...found].map(Number));
+    for (let previous = 0; max !== previous;) {
+      previous = max;
+      values.forEach(v => tokenizeDays(v, style, previous).forEach(t => { max = Math.max(max, Number(t)); }));
+    }
+    days = Array.from({ length: max }, (_, i) => String(i + 1));
+  } else {
+    // Fill gaps so "A, C, D" still yields A–D
+    const max = Math.max('B'.charCodeAt(0), ...[...found].map(t => t.charCodeAt(0)));
+    days = [];
+    for (let c = 'A'.charCodeAt(0); c <= max; c++) days.push(String.fromCharCode(c));
+  }
+
+  return { style, days };
+}
+
+/**
+ * Builds a rotation from a user-entered list such as "A, B, C, D", "1-6" or "M, T, W, Th, F".
+ */
+function rotationFromList(listStr) {
+  const raw = String(listStr || '').trim();
+  if (!raw) return null;
+
+  const detected = detectRotation([raw]);
+  return { style: detected.style, days: tokenizeDays(raw, detected.style) };
+}
+
+/**
+ * Output header suffix for a rotation day: "A Day", "Day 3" or "Monday".
+ */
+function formatDayLabel(day, style) {
+  if (style === 'number') return `Day ${day}`;
+  if (style === 'weekday') return WEEKDAY_NAMES[day] || day;
+  return `${day} Day`;
+}
+
+/**
+ * Classes that meet on the given rotation day.
+ */
+function classesForDay(classes, day) {
+  return classes.filter(c => !c.days || c.days.includes(day));
+}
+
+/**
+ * Quarters covered by each term type. A class belongs to a selected term when
+ * the two overlap, so an S1 export keeps FY, S1, Q1 and Q2 classes.
+ */
+const TERM_QUARTERS = {
+  FY: [1, 2, 3, 4],
+  S1: [1, 2],
+  S2: [3, 4],
+  Q1: [1],
+  Q2: [2],
+  Q3: [3],
+  Q4: [4]
+};
+
+/**
+ * Returns true if a class meets during the selected term ('ALL' keeps everything).
+ */
+function isClassInTerm(classObj, term) {
+  if (!term || term === 'ALL') return true;
+  const classQuarters = TERM_QUARTERS[classObj.type] || TERM_QUARTERS.FY;
+  const termQuarters = TERM_QUARTERS[term] || [];
+  return classQuarters.some(q => termQuarters.includes(q));
+}
+
+/**
+ * Separator between classes when a period/day cell holds more than one class
+ * (co-taught sections, stacked AP/honors sections, double-booked slots).
+ */
+const MULTI_CLASS_SEPARATOR = ' | ';
+
+/**
+ * Formats a single class: "CourseName (Room: ROOM)" or just course name
+ */
+function formatClass(classObj) {
+  if (classObj.room) {
+    return `${classObj.course} (Room: ${classObj.room})`;
+  }
+  return classObj.course;
+}
+
+/**
+ * Like formatClass, with the class's detail fields appended:
+ * "Algebra I (Room: 101) [Section: 03, Course Code: 1201]"
+ */
+function formatClassWithDetails(classObj) {
+  const details = Object.entries(classObj.details || {});
+  if (!details.length) return formatClass(classObj);
+  return `${formatClass(classObj)} [${details.map(([name, value]) => `${name}: ${value}`).join(', ')}]`;
+}
+
+/**
+ * Formats class array to CSV string. Every distinct class is kept, joined
+ * with MULTI_CLASS_SEPARATOR: "Chemistry (Room: S101) | AP Chemistry (Room: S101)"
+ */
+function formatClassForCsv(classes) {
+  if (!classes || classes.length === 0) return '';
+
+  const formatted = [...new Set(classes.map(formatClass))];
+  return formatted.join(MULTI_CLASS_SEPARATOR);
+}
+
+/**
+ * Case-insensitive header matching — returns original header string or null.
+ */
+function findColumn(headers, possibleNames) {
+  const lowerMap = {};
+  headers.forEach(h => { lowerMap[h.toLowerCase().trim()] = h; });
+  for (const name of possibleNames) {
+    const match = lowerMap[name.toLowerCase().trim()];
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Parses the non-teaching label setting into label → category. Entries are
+ * comma-separated; "Lunch=Lunch" or "Cafeteria Duty=Duty:Cafeteria" keep a
+ * category, and a bare label ("Planning") is exported as Prep.
+ */
+function parseNonTeachingLabels(labelsStr) {
+  const categories = new Map();
+  String(labelsStr || '').split(',').forEach(entry => {
+    const [label, category] = entry.split('=').map(part => (part || '').trim());
+    if (label) categories.set(label.toLowerCase(), category || 'Prep');
+  });
+  return categories;
+}
+
+/**
+ * Levenshtein distance for typo detection (standard DP implementation)
+ */
+function levenshteinDistance(a, b) {
+  const aLen = a.length;
+  const bLen = b.length;
+
+  const dp = Array(aLen + 1).fill(null).map(() => Array(bLen + 1).fill(0));
+
+  for (let i = 0; i <= aLen; i++) dp[i][0] = i;
+  for (let j = 0; j <= bLen; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= aLen; i++) {
+    for (let j = 1; j <= bLen; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,     // deletion
+        dp[i][j - 1] + 1,     // insertion
+        dp[i - 1][j - 1] + cost // substitution
+      );
+    }
+  }
+
+  return dp[aLen][bLen];
+}
+
+/**
+ * CSV escaping: wrap in quotes if contains comma, quote, or newline
+ */
+function escapeCsv(str) {
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// ============================================================================
+// Sheet Layouts
+// ============================================================================
+
+const HEADER_SCAN_ROWS = 25;
+
+/**
+ * Copies each merged cell's value into every cell it covers, so a "Period 3"
+ * spanning lunch sub-columns or a department merged down several rows reads
+ * the same in each position.
+ */
+function fillMergedCells(grid, merges, origin) {
+  for (const m of merges || []) {
+    const value = (grid[m.s.r - origin.r] || [])[m.s.c - origin.c];
+    for (let r = m.s.r; r <= m.e.r; r++) {
+      const row = grid[r - origin.r];
+      if (!row) continue;
+      for (let c = m.s.c; c <= m.e.c; c++) {
+        row[c - origin.c] = value;
+      }
+    }
+  }
+}
+
+/**
+ * How much a row looks like a header: known column names count double,
+ * any other short text counts once. Rows with multiline cells are data.
+ */
+function scoreHeaderRow(row) {
+  const knownAliases = [
+    ...TEACHER_COLUMN_ALIASES, ...DEPT_COLUMN_ALIASES, ...PERIOD_COLUMN_ALIASES,
+    ...COURSE_COLUMN_ALIASES, ...ROOM_COLUMN_ALIASES, ...DAYS_COLUMN_ALIASES, ...TERM_COLUMN_ALIASES
+  ].map(a => a.toLowerCase());
+
+  let score = 0;
+  for (const cell of row) {
+    const value = String(cell).trim();
+    if (!value) continue;
+    if (value.includes('\n')) return 0;
+    if (knownAliases.includes(value.toLowerCase()) || isPeriodHeader(value)) {
+      score += 2;
+    } else if (value.length <= 40) {
+      score += 1;
+    }
+  }
+  return score;
+}
+
+function isBlankRow(row) {
+  return row.every(cell => String(cell).trim() === '');
+}
+
+function rowKey(row) {
+  return row.map(cell => String(cell).trim().toLowerCase()).join('\u0001');
+}
+
+/**
+ * Every cell of a sheet as text, rows padded to the sheet width and merged
+ * areas filled with their value. origin is the sheet's top-left cell.
+ */
+function sheetGrid(sheet) {
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const origin = { r: range.s.r, c: range.s.c };
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true, raw: false });
+  const width = range.e.c - range.s.c + 1;
+  grid.forEach(row => { while (row.length < width) row.push(''); });
+  fillMergedCells(grid, sheet['!merges'], origin);
+  return { grid, origin };
+}
+
+/**
+ * Reads a worksheet into { headers, rows, rowNumbers, headerRow } where rows are
+ * objects keyed by header and rowNumbers holds each row's 1-based sheet row.
+ *
+ * Handles messy printed workbooks:
+ *   - title / building rows above the header (the best-scoring row in the first
+ *     HEADER_SCAN_ROWS is the header)
+ *   - merged "Period 3" cells over sub-columns, which become composite names
+ *     such as "Period 3 / Lunch A"
+ *   - header and title rows repeated on every printed page, and blank separators
+ * gridData is the sheet's sheetGrid when the caller already has it.
+ */
+function readSheetTable(sheet, gridData) {
+  if (!sheet || !sheet['!ref']) {
+    return { headers: [], rows: [], rowNumbers: [], headerRow: null };
+  }
+
+  const { grid, origin } = gridData || sheetGrid(sheet);
+
+  // Header row: best score among the first rows; ties keep the earliest
+  let headerIndex = -1;
+  let bestScore = 0;
+  for (let r = 0; r < Math.min(grid.length, HEADER_SCAN_ROWS); r++) {
+    const score = scoreHeaderRow(grid[r]);
+    if (score > bestScore) {
+      bestScore = score;
+      headerIndex = r;
+    }
+  }
+  if (headerIndex === -1) {
+    return { headers: [], rows: [], rowNumbers: [], headerRow: null };
+  }
+
+  const topRow = grid[headerIndex].map(cell => String(cell).trim());
+
+  // Columns that may carry a sub-header: covered by a horizontal merge on the
+  // header row, or blank with a named column to their left.
+  const spanned = new Set();
+  for (const m of sheet['!merges'] || []) {
+    if (m.s.r - origin.r === headerIndex && m.e.c > m.s.c) {
+      for (let c = m.s.c; c <= m.e.c; c++) spanned.add(c - origin.c);
+    }
+  }
+  topRow.forEach((value, c) => {
+    if (!value && c > 0 && topRow.slice(0, c).some(Boolean)) spanned.add(c);
+  });
+
+  // A following row is a sub-header when it only has values under spanned
+  // columns (or repeats the header value from a vertical merge).
+  const nextRow = (grid[headerIndex + 1] || []).map(cell => String(cell).trim());
+  const hasSubHeader = spanned.size > 0 &&
+    nextRow.some((value, c) => value && spanned.has(c)) &&
+    nextRow.every((value, c) => !value || spanned.has(c) || value === topRow[c]) &&
+    nextRow.every(value => !value.includes('\n'));
+
+  let lastNamed = '';
+  const rawHeaders = topRow.map((top, c) => {
+    const name = top || (spanned.has(c) ? lastNamed : '');
+    if (top) lastNamed = top;
+    const sub = hasSubHeader ? nextRow[c] : '';
+    if (sub && sub !== name) return name ? `${name} / ${sub}` : sub;
+    return name;
+  });
+
+  // Unique, non-empty header names
+  const seen = {};
+  const headers = rawHeaders.map((h, c) => {
+    const base = h || `Column ${c + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+
+  // Rows to skip when they reappear below: page titles, and rows that only
+  // echo header or sub-header values (repeated on every printed page)
+  const dataStart = headerIndex + (hasSubHeader ? 2 : 1);
+  const titleKeys = new Set(grid.slice(0, headerIndex).filter(r => !isBlankRow(r)).map(rowKey));
+  const isHeaderEcho = (row) => row.every((cell, c) => {
+    const value = String(cell).trim();
+    return !value || value === topRow[c] || (hasSubHeader && value === nextRow[c]);
+  });
+
+  const rows = [];
+  const rowNumbers = [];
+  for (let r = dataStart; r < grid.length; r++) {
+    const row = grid[r];
+    if (isBlankRow(row) || isHeaderEcho(row) || titleKeys.has(rowKey(row))) continue;
+
+    const obj = {};
+    headers.forEach((h, c) => { obj[h] = row[c] === undefined ? '' : row[c]; });
+    rows.push(obj);
+    rowNumbers.push(origin.r + r + 1);
+  }
+
+  return { headers, rows, rowNumbers, headerRow: origin.r + headerIndex + 1 };
+}
+
+// ============================================================================
+// Transposed Layout (periods as rows, teachers as columns)
+// ============================================================================
+
+/**
+ * True for a bare period label such as "Period 3", "Per. 2" or "P4BC" — unlike
+ * isPeriodHeader, cell text like "Planning Period" does not count.
+ */
+function isPeriodLabel(value) {
+  return /^(?:period|per\.?|p)\s*\d+\w*$/i.test(String(value).trim());
+}
+
+/**
+ * Column of period labels in a transposed sheet: one of the first columns with
+ * more distinct period labels ("Period 1", "P2") down it than any row has across.
+ * Returns -1 for ordinary sheets.
+ */
+function findPeriodLabelColumn(grid) {
+  const width = grid.length ? grid[0].length : 0;
+  const distinctLabels = (values) => new Set(
+    values.filter(isPeriodLabel).map(v => String(v).trim().toLowerCase())
+  ).size;
+
+  let best = -1;
+  let bestCount = 1;
+  for (let c = 0; c < Math.min(width, 3); c++) {
+    const count = distinctLabels(grid.map(row => row[c]));
+    if (count > bestCount) {
+      best = c;
+      bestCount = count;
+    }
+  }
+  if (best === -1) return -1;
+
+  const mostAcross = Math.max(0, ...grid.slice(0, HEADER_SCAN_ROWS).map(distinctLabels));
+  return bestCount > mostAcross ? best : -1;
+}
+
+/**
+ * Whether a sheet runs periods down the rows, from its readSheetTable headers
+ * and its sheetGrid grid.
+ */
+function isTransposedSheet(headers, grid) {
+  // Section lists can have "P1", "P2" down their period column
+  if (detectLayout(headers) === 'long') return false;
+  return findPeriodLabelColumn(grid) !== -1;
+}
+
+/**
+ * Turns a periods-down, teachers-across sheet into the standard grid: one row
+ * per teacher, with a column for each labeled row (Department, Period 1, ...).
+ * The teacher-name row is the fullest row above the first period row that is
+ * not a department row; department rows may sit above or below it.
+ */
+function transposeSheet(sheet, grid = sheetGrid(sheet).grid) {
+  const labelCol = findPeriodLabelColumn(grid);
+  if (labelCol === -1) throw new Error('No column of period labels found for a transposed layout');
+
+  const labelOf = (r) => String(grid[r][labelCol]).trim();
+  const isDeptRow = (r) => Boolean(findColumnName([labelOf(r)], DEPT_COLUMN_ALIASES));
+  const firstPeriodRow = grid.findIndex(row => isPeriodLabel(row[labelCol]));
+
+  let nameRow = -1;
+  let most = 0;
+  for (let r = 0; r < firstPeriodRow; r++) {
+    if (isDeptRow(r)) continue;
+    const count = grid[r].slice(labelCol + 1).filter(value => String(value).trim()).length;
+    if (count > most) {
+      most = count;
+      nameRow = r;
+    }
+  }
+  if (nameRow === -1) throw new Error('No row of teacher names found above the period rows');
+
+  const labeledRows = grid
+    .map((row, r) => r)
+    .filter(r => r !== nameRow && labelOf(r) && (r > nameRow || isDeptRow(r)));
+
+  const aoa = [[labelOf(nameRow) || 'Teacher', ...labeledRows.map(labelOf)]];
+  for (let c = labelCol + 1; c < grid[nameRow].length; c++) {
+    const name = String(grid[nameRow][c]).trim();
+    if (name) aoa.push([name, ...labeledRows.map(r => grid[r][c])]);
+  }
+  return XLSX.utils.aoa_to_sheet(aoa);
+}
+
+/**
+ * readSheetTable for a layout choice. Transposed sheets ('transposed', or
+ * detected under 'auto') are normalized first; their rowNumbers are left
+ * empty since each output row came from a sheet column. A sheet that only
+ * looked transposed under 'auto' is read as an ordinary grid. The sheet's
+ * grid is built once for the layout check, the transpose and the plain read.
+ */
+function readScheduleTable(sheet, layout) {
+  if (!sheet || !sheet['!ref']) return { ...readSheetTable(sheet), transposed: false };
+
+  const auto = !layout || layout === 'auto';
+  const gridData = sheetGrid(sheet);
+  const table = layout === 'transposed' ? null : readSheetTable(sheet, gridData);
+  if (layout === 'transposed' || (auto && isTransposedSheet(table.headers, gridData.grid))) {
+    try {
+      return { ...readSheetTable(transposeSheet(sheet, gridData.grid)), rowNumbers: [], transposed: true };
+    } catch (err) {
+      if (!auto) throw err;
+    }
+  }
+  return { ...table, transposed: false };
+}
+
+const TEACHER_COLUMN_ALIASES = ['Teacher Name', 'Teacher', 'Name', 'Staff', 'Staff Name', 'Instructor'];
+const DEPT_COLUMN_ALIASES = ['Department', 'Dept', 'Subject', 'Subject Area'];
+
+// Long (one row per section) exports
+const PERIOD_COLUMN_ALIASES = ['Period', 'Per', 'Period Number', 'Expression', 'Block', 'Bell Period'];
+const COURSE_COLUMN_ALIASES = ['Course', 'Course Name', 'Course Title', 'Class', 'Class Name', 'Section Name'];
+const ROOM_COLUMN_ALIASES = ['Room', 'Room Number', 'Room #', 'Location'];
+const DAYS_COLUMN_ALIASES = ['Days', 'Day', 'Rotation Day', 'Cycle Day', 'Meeting Days', 'Day Pattern'];
+const TERM_COLUMN_ALIASES = ['Term', 'Semester', 'Term Code'];
+
+/**
+ * 'long' when the sheet has a single period column and a course column
+ * (one row per section), otherwise 'wide' (one row per teacher).
+ */
+function detectLayout(headers) {
+  const periodCol = findColumnName(headers, PERIOD_COLUMN_ALIASES);
+  const courseCol = findColumnName(headers, COURSE_COLUMN_ALIASES);
+  return periodCol && courseCol ? 'long' : 'wide';
+}
+
+/**
+ * True for headers that name a schedule period ("Period 3", "Period 3BC", "P1", "Per 2")
+ * but not for companion columns such as "Period Notes" or "Period Count".
+ */
+function isPeriodHeader(header) {
+  const h = String(header).trim();
+  if (/^p(?:er)?\.?\s*\d+[a-z]*$/i.test(h)) return true;
+  return /\bperiod/i.test(h) && !/\b(notes?|comments?|ids?|count|total|type)\b/i.test(h);
+}
+
+/**
+ * Finds a column by exact alias first, then by keyword — skipping identifier
+ * columns like "Instructor ID" or "Teacher Email" that would otherwise match.
+ */
+function guessColumn(headers, aliases, keywords) {
+  const exact = findColumnName(headers, aliases);
+  if (exact) return exact;
+  return headers.find(h => {
+    const lower = h.toLowerCase();
+    return keywords.some(k => lower.includes(k)) && !/\b(id|number|no|#|email|code)\b|#/.test(lower);
+  }) || null;
+}
+
+/**
+ * Best-guess column mapping for a sheet — the starting point for the mapping step.
+ * Returns { teacher, dept, periods: [...], course, room, days, term }; for the long
+ * layout periods holds the single section period column.
+ */
+function guessColumnMap(headers, layout) {
+  const map = {
+    teacher: guessColumn(headers, TEACHER_COLUMN_ALIASES, ['teacher', 'instructor', 'staff']),
+    dept: guessColumn(headers, DEPT_COLUMN_ALIASES, ['department', 'dept']),
+    periods: [],
+    course: null,
+    room: null,
+    days: null,
+    term: null
+  };
+
+  if (layout === 'long') {
+    const periodCol = findColumnName(headers, PERIOD_COLUMN_ALIASES);
+    map.periods = periodCol ? [periodCol] : [];
+    map.course = findColumnName(headers, COURSE_COLUMN_ALIASES);
+    map.room = findColumnName(headers, ROOM_COLUMN_ALIASES);
+    map.days = findColumnName(headers, DAYS_COLUMN_ALIASES);
+    map.term = findColumnName(headers, TERM_COLUMN_ALIASES);
+  } else {
+    map.periods = headers.filter(h => h !== map.teacher && h !== map.dept && isPeriodHeader(h));
+  }
+
+  return map;
+}
+
+/**
+ * Normalizes a term value from a section export: "Semester 1" → S1, "Q2" → Q2,
+ * "Full Year" / blank → FY.
+ */
+function normalizeTerm(value) {
+  const str = String(value || '').trim();
+  const direct = str.match(/\b(FY|S1|S2|Q1|Q2|Q3|Q4)\b/i);
+  if (direct) return direct[1].toUpperCase();
+
+  const sem = str.match(/^sem(?:ester)?\s*([12])$/i);
+  if (sem) return `S${sem[1]}`;
+  const quarter = str.match(/^(?:qtr|quarter)\s*([1-4])$/i);
+  if (quarter) return `Q${quarter[1]}`;
+
+  return 'FY';
+}
+
+/**
+ * Splits a section period value into a period column name and optional days:
+ * "3" → Period 3, "P3A" → Period 3A, "1(A-B)" → Period 1 with days "A-B".
+ */
+function parseSectionPeriod(value) {
+  let str = String(value || '').trim();
+  let days = null;
+
+  const expression = str.match(/^(.*?)\s*\((.+)\)$/);
+  if (expression) {
+    str = expression[1].trim();
+    days = expression[2].trim();
+  }
+
+  const bare = str.match(/^(?:p|per|period)?\.?\s*(\d+[A-Za-z]*)$/i);
+  const period = bare ? `Period ${bare[1].toUpperCase()}` : str;
+  return { period, days };
+}
+
+/**
+ * Orders period names naturally: Period 1, Period 2, Period 3A, Period 3B, Period 10
+ */
+function comparePeriodNames(a, b) {
+  const numA = parseInt((a.match(/\d+/) || [])[0], 10);
+  const numB = parseInt((b.match(/\d+/) || [])[0], 10);
+  if (!isNaN(numA) && !isNaN(numB) && numA !== numB) return numA - numB;
+  return a.localeCompare(b);
+}
+
+/**
+ * Wide grid: one row per teacher, one multiline cell per period column.
+ * Returns { entries: [{ teacher, dept, periods: { periodCol: classes } }], periodCols, rawDayValues }
+ */
+function collectWideEntries(data, columnMap, rowNumbers = []) {
+  const teacherColName = columnMap.teacher;
+  const deptColName = columnMap.dept;
+  const periodCols = columnMap.periods;
+
+  const entries = [];
+  const rawDayValues = [];
+
+  data.forEach((row, r) => {
+    const teacher = teacherColName ? String(row[teacherColName] || '').trim() : '';
+    const dept = deptColName ? String(row[deptColName] || '').trim() : '';
+
+    if (!teacher) return;
+
+    const periods = {};
+    for (const periodCol of periodCols) {
+      const cellValue = String(row[periodCol] || '').trim();
+      cellValue.split('\n').forEach(line => rawDayValues.push(extractDaysToken(line)));
+      periods[periodCol] = cellValue;
+    }
+
+    entries.push({ teacher, dept, periods, sourceRow: rowNumbers[r] || null });
+  });
+
+  return { entries, periodCols, rawDayValues };
+}
+
+/**
+ * Long section export: one row per section with teacher, period, course, room,
+ * days and term columns. Sections are pivoted onto their teacher's row.
+ */
+function collectLongEntries(data, columnMap, rowNumbers = []) {
+  const teacherColName = columnMap.teacher;
+  const deptColName = columnMap.dept;
+  const periodColName = columnMap.periods[0];
+  const courseColName = columnMap.course;
+  const roomColName = columnMap.room;
+  const daysColName = columnMap.days;
+  const termColName = columnMap.term;
+
+  const byTeacher = new Map();
+  const periodSet = new Set();
+  const rawDayValues = [];
+
+  data.forEach((row, r) => {
+    const teacher = teacherColName ? String(row[teacherColName] || '').trim() : '';
+    if (!teacher) return;
+
+    const key = teacher.toLowerCase();
+    if (!byTeacher.has(key)) {
+      byTeacher.set(key, { teacher, dept: '', periods: {}, sourceRow: rowNumbers[r] || null });
+    }
+    const entry = byTeacher.get(key);
+    const dept = deptColName ? String(row[deptColName] || '').trim() : '';
+    if (!entry.dept && dept) entry.dept = dept;
+
+    const { period, days: expressionDays } = parseSectionPeriod(periodColName ? row[periodColName] : '');
+    if (!period) return;
+    periodSet.add(period);
+    if (!entry.periods[period]) entry.periods[period] = [];
+
+    const course = courseColName ? String(row[courseColName] || '').trim() : '';
+    if (!course) return;
+
+    const daysRaw = (daysColName && String(row[daysColName] || '').trim()) || expressionDays;
+    rawDayValues.push(daysRaw);
+
+    entry.periods[period].push({
+      course,
+      room: roomColName ? String(row[roomColName] || '').trim() : '',
+      type: normalizeTerm(termColName ? row[termColName] : ''),
+      daysRaw,
+      sourceRow: rowNumbers[r] || null
+    });
+  });
+
+  return {
+    entries: [...byTeacher.values()],
+    periodCols: [...periodSet].sort(comparePeriodNames),
+    rawDayValues
+  };
+}
+
+/**
+ * Main parser: reads Excel sheet and returns parsed teacher data.
+ * Each "Period X" column is expanded into one column per rotation day
+ * ("Period X A Day", "Period X B Day", ... or "Period X Day 1", "Period X Monday").
+ *
+ * Options:
+ *   term         — 'ALL' (default) or one of FY/S1/S2/Q1–Q4; only classes meeting
+ *                  during that term fill the day cells.
+ *   rotationDays — comma-separated day list overriding detection ("A, B, C, D", "1-6").
+ *   layout       — 'auto' (default), 'wide' (one row per teacher),
+ *                  'long' (one row per section) or 'transposed' (periods as
+ *                  rows, teachers as columns).
+ *   columnMap    — confirmed column roles from the mapping step (see guessColumnMap);
+ *                  guessed from the headers when omitted.
+ *   table        — the sheet's readScheduleTable result when the caller already
+ *                  read it for the same layout.
+ *   periodRenames — { sourcePeriodCol: outputName } applied to the output headers,
+ *                  e.g. to match bell schedule period names.
+ *   courseAliases — { lowercased variant: canonical course name } applied to every class.
+ *   emptyCategory — value written for empty cells (default 'Prep').
+ *   inferDepartments — fill blank departments from course names (see inferDepartments),
+ *                  with courseCatalog holding the user's extra "Course = Department" lines.
+ *
+ * periodCols keeps the source column names; periodNames holds the output names.
+ */
+function parseExcelSchedule(workbook, sheetName, nonTeachingLabelsStr, options = {}) {
+  const term = options.term || 'ALL';
+  const { headers, rows: data, rowNumbers, transposed } = options.table || readScheduleTable(workbook.Sheets[sheetName], options.layout);
+
+  if (!data.length) {
+    return {
+      headers: ['Department', 'Teacher'],
+      teachers: [],
+      periodCols: [],
+      periodNames: [],
+      term,
+      rotation: rotationFromList(options.rotationDays) || detectRotation([]),
+      layout: transposed ? 'transposed' : (options.layout || 'wide')
+    };
+  }
+
+  const labelCategories = parseNonTeachingLabels(nonTeachingLabelsStr);
+  const emptyCategory = options.emptyCategory || 'Prep';
+  const detailFields = parseDetailFields(
+    options.detailFields !== undefined ? options.detailFields : DEFAULT_DETAIL_FIELDS
+  );
+
+  // A normalized transposed sheet parses as a wide grid
+  const layout = transposed ? 'wide' : (!options.layout || options.layout === 'auto'
+    ? detectLayout(headers)
+    : options.layout);
+  const columnMap = options.columnMap || guessColumnMap(headers, layout);
+  const { entries, periodCols, rawDayValues } = layout === 'long'
+    ? collectLongEntries(data, columnMap, rowNumbers)
+    : collectWideEntries(data, columnMap, rowNumbers);
+
+  // Detect rotation days from every "Days:" value unless the user listed them
+  const rotation = rotationFromList(options.rotationDays) || detectRotation(rawDayValues);
+  const renames = options.periodRenames || {};
+  const aliases = options.courseAliases || {};
+  const periodNames = periodCols.map(col => renames[col] || col);
+
+  // Build output rows — each period column expands into one column per rotation day
+  const teachers = [];
+
+  entries.forEach((entry, index) => {
+    if (options.onProgress && index % PROGRESS_EVERY === 0) options.onProgress(index / entries.length);
+    const outputRow = [entry.dept, entry.teacher];
+    const slots = [];
+
+    periodCols.forEach((periodCol, p) => {
+      const cell = entry.periods[periodCol] || [];
+      const items = (typeof cell === 'string'
+        ? parsePeriodCell(cell, rotation.style, detailFields, rotation.days.length).classes
+        : cell.map(({ daysRaw, ...c }) => ({ ...c, days: daysRaw ? tokenizeDays(daysRaw, rotation.style, rotation.days.length) : null }))
+      ).filter(c => isClassInTerm(c, term));
+
+      // Non-teaching labels keep their category (Prep, Lunch, Duty:Cafeteria, ...)
+      const classes = [];
+      const labels = [];
+      for (const item of items) {
+        const category = labelCategories.get(item.course.toLowerCase());
+        if (category) {
+          labels.push({ category, days: item.days });
+        } else {
+          const alias = aliases[item.course.toLowerCase()];
+          classes.push(alias ? { ...item, course: alias } : item);
+        }
+      }
+
+      for (const day of rotation.days) {
+        const dayClasses = classesForDay(classes, day);
+        const dayLabel = classesForDay(labels, day)[0];
+        const label = dayClasses.length ? null : (dayLabel ? dayLabel.category : emptyCategory);
+        slots.push({
+          period: periodNames[p],
+          sourceCol: periodCol,
+          day,
+          header: `${periodNames[p]} ${formatDayLabel(day, rotation.style)}`,
+          col: outputRow.length,
+          classes: dayClasses,
+          label
+        });
+        outputRow.push(formatClassForCsv(dayClasses) || label);
+      }
+    });
+
+    teachers.push({
+      teacher: entry.teacher,
+      dept: entry.dept,
+      data: outputRow,
+      slots,
+      sourceRow: entry.sourceRow
+    });
+  });
+
+  if (options.inferDepartments) inferDepartments(teachers, options.courseCatalog);
+
+  // Build output headers with one column per rotation day
+  const outputHeaders = ['Department', 'Teacher'];
+  for (const periodName of periodNames) {
+    for (const day of rotation.days) {
+      outputHeaders.push(`${periodName} ${formatDayLabel(day, rotation.style)}`);
+    }
+  }
+
+  return {
+    headers: outputHeaders,
+    teachers,
+    periodCols,
+    periodNames,
+    term,
+    rotation,
+    layout: transposed ? 'transposed' : layout
+  };
+}
+
+/**
+ * Resolves a saved profile against the current headers (case-insensitive).
+ * Columns the profile names but the file lacks are dropped.
+ */
+function profileToColumnMap(profile, headers) {
+  const lowerMap = {};
+  headers.forEach(h => { lowerMap[h.toLowerCase().trim()] = h; });
+  const resolve = (name) => (name ? lowerMap[name.toLowerCase().trim()] || null : null);
+
+  const saved = profile.columnMap;
+  return {
+    teacher: resolve(saved.teacher),
+    dept: resolve(saved.dept),
+    periods: saved.periods.map(resolve).filter(Boolean),
+    course: resolve(saved.course),
+    room: resolve(saved.room),
+    days: resolve(saved.days),
+    term: resolve(saved.term)
+  };
+}
+
+/**
+ * Column map for another sheet of the same workbook: the confirmed mapping
+ * where its headers match, otherwise a fresh guess. table is the sheet's
+ * readScheduleTable result when the caller already has it.
+ */
+function columnMapForSheet(sheet, columnMap, layout, table = readScheduleTable(sheet, layout)) {
+  const { headers, transposed } = table;
+  if (columnMap) {
+    const mapped = profileToColumnMap({ columnMap }, headers);
+    if (mapped.teacher && mapped.periods.length > 0) return mapped;
+  }
+  if (transposed) return guessColumnMap(headers, 'wide');
+  return guessColumnMap(headers, !layout || layout === 'auto' ? detectLayout(headers) : layout);
+}
+
+function sortRotationDays(days, style) {
+  if (style === 'number') return [...days].sort((a, b) => Number(a) - Number(b));
+  if (style === 'weekday') return WEEKDAY_ORDER.filter(d => days.includes(d));
+  return [...days].sort();
+}
+
+/**
+ * Parses several sheets (one per building or department) into one result.
+ * A single sheet parses exactly as parseExcelSchedule; with more, every row
+ * gets a trailing Building column holding its sheet name, and the output
+ * columns are the union of all sheets' period/day columns.
+ */
+function parseWorkbookSheets(workbook, sheetNames, nonTeachingLabelsStr, options = {}) {
+  if (sheetNames.length === 1) {
+    return parseExcelSchedule(workbook, sheetNames[0], nonTeachingLabelsStr, options);
+  }
+
+  // Each sheet is read once; a second pass only re-parses the rows
+  const tables = sheetNames.map(name => readScheduleTable(workbook.Sheets[name], options.layout));
+  const columnMaps = sheetNames.map((name, i) => columnMapForSheet(workbook.Sheets[name], options.columnMap, options.layout, tables[i]));
+  const parseSheet = (i, rotationDays) => parseExcelSchedule(workbook, sheetNames[i], nonTeachingLabelsStr, {
+    ...options,
+    rotationDays,
+    table: tables[i],
+    columnMap: columnMaps[i],
+    onProgress: options.onProgress && (fraction => options.onProgress((i + fraction) / sheetNames.length))
+  });
+
+  // Sheets must share one rotation for the columns to line up
+  let results = sheetNames.map((name, i) => parseSheet(i, options.rotationDays));
+  const styles = new Set(results.map(r => r.rotation.style));
+  if (styles.size > 1) {
+    throw new Error('The selected sheets use different rotation styles — enter the rotation days to use for all of them');
+  }
+  const style = results[0].rotation.style;
+  const allDays = sortRotationDays([...new Set(results.flatMap(r => r.rotation.days))], style);
+  // Re-parse only the sheets whose own days differ from the shared list
+  results = results.map((r, i) => (r.rotation.days.join(',') === allDays.join(',') ? r : parseSheet(i, allDays.join(','))));
+
+  // Period columns in order of first appearance across sheets
+  const periodNames = [];
+  const periodCols = [];
+  results.forEach(r => r.periodNames.forEach((name, p) => {
+    if (periodNames.includes(name)) return;
+    periodNames.push(name);
+    periodCols.push(r.periodCols[p]);
+  }));
+
+  const headers = ['Department', 'Teacher'];
+  periodNames.forEach(name => allDays.forEach(day => headers.push(`${name} ${formatDayLabel(day, style)}`)));
+  headers.push('Building');
+  const colByHeader = new Map(headers.map((h, c) => [h, c]));
+
+  const teachers = [];
+  results.forEach((result, i) => {
+    for (const teacher of result.teachers) {
+      const data = headers.map(() => '');
+      data[0] = teacher.dept;
+      data[1] = teacher.teacher;
+      data[headers.length - 1] = sheetNames[i];
+      const slots = teacher.slots.map(slot => {
+        const col = colByHeader.get(slot.header);
+        data[col] = teacher.data[slot.col];
+        return { ...slot, col };
+      });
+      teachers.push({ ...teacher, data, slots, building: sheetNames[i] });
+    }
+  });
+
+  return {
+    headers,
+    teachers,
+    periodCols,
+    periodNames,
+    term: results[0].term,
+    rotation: { style, days: allDays },
+    layout: results[0].layout,
+    buildings: [...sheetNames]
+  };
+}
+
+/**
+ * Applies an edit from the review grid to one output cell. Period cells are
+ * read back from the export format ("Algebra I (Room: 101) | Geometry", or a
+ * non-teaching label); classes that were already in the cell keep their term.
+ */
+function applyCellEdit(teacher, col, value, nonTeachingLabelsStr, emptyCategory = 'Prep') {
+  const text = String(value || '').trim();
+
+  if (col === 0) {
+    teacher.dept = text;
+    teacher.data[0] = text;
+    delete teacher.deptInferred;
+    return;
+  }
+  if (col === 1) {
+    teacher.teacher = text;
+    teacher.data[1] = text;
+    return;
+  }
+
+  const slot = teacher.slots.find(s => s.col === col);
+  if (!slot) {
+    // The trailing Building column; blank columns of another building's periods stay blank
+    if (teacher.building !== undefined && col === teacher.data.length - 1) {
+      teacher.building = text;
+      teacher.data[col] = text;
+    }
+    return;
+  }
+
+  const labelCategories = parseNonTeachingLabels(nonTeachingLabelsStr);
+  const categories = new Map([...labelCategories.values()].map(c => [c.toLowerCase(), c]));
+  const classes = [];
+  let label = null;
+
+  for (const part of text.split(MULTI_CLASS_SEPARATOR.trim()).map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(.*?)\s*\(Room:\s*([^)]*)\)$/i);
+    const course = match ? match[1].trim() : part;
+    const room = match ? match[2].trim() : '';
+    const category = !room && (labelCategories.get(course.toLowerCase()) || categories.get(course.toLowerCase()));
+
+    if (category) {
+      label = label || category;
+    } else {
+      const previous = slot.classes.find(c => c.course === course);
+      classes.push({ ...(previous || { type: 'FY', days: null }), course, room });
+    }
+  }
+
+  slot.classes = classes;
+  slot.label = classes.length ? null : (label || emptyCategory);
+  teacher.data[col] = formatClassForCsv(classes) || slot.label;
+}
+
+/**
+ * Find column name (returns the original header string, not index).
+ */
+function findColumnName(headers, possibleNames) {
+  const lowerMap = {};
+  headers.forEach(h => { lowerMap[h.toLowerCase().trim()] = h; });
+  for (const name of possibleNames) {
+    const match = lowerMap[name.toLowerCase().trim()];
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Validation: checks for errors and warnings. Issues about specific output
+ * cells carry cells: [{ row, col }] (teacher index, output column).
+ * onProgress(fraction, newIssues), if given, reports issues as they are found.
+ * contractRules, if given, adds the teaching load checks (see validateContractRules).
+ */
+function validateSchedule(teachers, nonTeachingLabelsStr, onProgress, contractRules) {
+  const issues = [];
+  const labelCategories = parseNonTeachingLabels(nonTeachingLabelsStr);
+
+  let reported = 0;
+  const report = (fraction) => {
+    if (!onProgress) return;
+    onProgress(fraction, issues.slice(reported));
+    reported = issues.length;
+  };
+
+  const seenTeachers = new Map(); // lowercase name → first row
+  const roomlessCells = new Map(); // course → cells
+
+  teachers.forEach((teacher, row) => {
+    if (row % PROGRESS_EVERY === 0) report(0.8 * row / teachers.length);
+
+    // Error: missing teacher name
+    if (!teacher.teacher || teacher.teacher.trim() === '') {
+      issues.push({ severity: 'error', message: 'Missing teacher name in one row', cells: [{ row, col: 1 }] });
+    }
+
+    if (teacher.deptInferred) {
+      const { votes, total } = teacher.deptInferred;
+      issues.push({
+        severity: 'info',
+        message: `Department inferred: ${teacher.teacher} → ${teacher.dept} (${votes} of ${total} class${total !== 1 ? 'es' : ''})`,
+        cells: [{ row, col: 0 }]
+      });
+    }
+
+    // Warning: duplicate teacher
+    const teacherLower = teacher.teacher.toLowerCase();
+    if (seenTeachers.has(teacherLower)) {
+      const firstRow = seenTeachers.get(teacherLower);
+      const first = teachers[firstRow];
+      const where = teacher.building !== undefined
+        ? (first.building === teacher.building ? ` (twice in ${teacher.building})` : ` (in ${first.building} and ${teacher.building})`)
+        : '';
+      issues.push({
+        severity: 'warning',
+        message: `Duplicate teacher: ${teacher.teacher}${where}`,
+        cells: [{ row: firstRow, col: 1 }, { row, col: 1 }]
+      });
+    } else {
+      seenTeachers.set(teacherLower, row);
+    }
+
+    // Check for schedules with no classes at all
+    const slots = teacher.slots || [];
+    if (slots.every(slot => slot.classes.length === 0)) {
+      const categories = [...new Set(slots.map(slot => slot.label).filter(Boolean))];
+      // Link to the row's first period cell (or the name when it has none)
+      const cells = [{ row, col: slots.length ? slots[0].col : 1 }];
+      if (categories.every(c => c === 'Prep')) {
+        issues.push({ severity: 'warning', message: `All-prep schedule: ${teacher.teacher}`, cells });
+      } else {
+        issues.push({
+          severity: 'warning',
+          message: `No teaching periods: ${teacher.teacher} (${categories.join(', ')})`,
+          cells
+        });
+      }
+    }
+
+    // Warning: two different classes meeting in the same period/day slot during
+    // the same term (an S1 and an S2 class sharing a slot is not a conflict)
+    for (const slot of teacher.slots || []) {
+      const conflicting = new Set();
+      slot.classes.forEach((a, i) => {
+        slot.classes.slice(i + 1).forEach(b => {
+          if (a.course !== b.course && isClassInTerm(a, b.type)) {
+            conflicting.add(a.course);
+            conflicting.add(b.course);
+          }
+        });
+      });
+      if (conflicting.size > 0) {
+        issues.push({
+          severity: 'warning',
+          message: `Multiple classes in one slot: ${teacher.teacher}, ${slot.header} (${[...conflicting].join(', ')})`,
+          cells: [{ row, col: slot.col }]
+        });
+      }
+    }
+
+    // Collect room-less course names for typo detection (labels usually have no room)
+    for (const slot of slots) {
+      slot.classes.forEach(c => {
+        if (c.room) return;
+        if (!roomlessCells.has(c.course)) roomlessCells.set(c.course, []);
+        roomlessCells.get(c.course).push({ row, col: slot.col });
+      });
+    }
+  });
+
+  report(0.8);
+  issues.push(...validateRooms(teachers));
+  issues.push(...validateSectionIds(teachers));
+  if (contractRules) issues.push(...validateContractRules(teachers, contractRules));
+  report(0.9);
+
+  // Typo detection: check for misspellings of non-teaching labels (once per course name)
+  for (const [course, cells] of roomlessCells) {
+    const courseLower = course.toLowerCase();
+    for (const [label, category] of labelCategories) {
+      const dist = levenshteinDistance(courseLower, label);
+      if (dist > 0 && dist <= 2) {
+        issues.push({
+          severity: 'warning',
+          message: `Possible typo: "${course}" (similar to "${label}", exported as ${category})`,
+          cells
+        });
+        break; // Only warn once per course
+      }
+    }
+  }
+
+  report(1);
+  return issues;
+}
+
+/**
+ * The full parse step: parse the selected sheets, validate, and group course
+ * names. The page runs this in worker.js, or directly when workers are
+ * unavailable, so both paths give the same result.
+ * onProgress(label, fraction|null); onIssues(issues) as validation finds them.
+ */
+function parseAndValidate(workbook, sheetNames, nonTeachingLabelsStr, options, onProgress = () => {}, onIssues = () => {}) {
+  onProgress('Parsing', 0);
+  const parseResult = parseWorkbookSheets(workbook, sheetNames, nonTeachingLabelsStr, {
+    ...options,
+    onProgress: fraction => onProgress('Parsing', fraction)
+  });
+
+  const issues = validateSchedule(parseResult.teachers, nonTeachingLabelsStr, (fraction, newIssues) => {
+    onProgress('Checking', fraction);
+    if (newIssues.length) onIssues(newIssues);
+  }, options.contractRules);
+
+  onProgress('Grouping course names', null);
+  const courseGroups = findCourseGroups(parseResult.teachers);
+
+  return { parseResult, issues, courseGroups };
+}
+
+/**
+ * Reads an earlier version of the master schedule and parses it like the
+ * current upload: the same sheets where it has them (else its first sheet) and
+ * the confirmed column mapping where its headers match. Runs in worker.js or
+ * directly, like parseAndValidate.
+ */
+function parseComparisonWorkbook(buffer, preferredSheets, nonTeachingLabelsStr, options, onProgress = () => {}) {
+  onProgress('Reading workbook', null);
+  const workbook = XLSX.read(buffer, { type: 'array' });
+  const matching = preferredSheets.filter(name => workbook.SheetNames.includes(name));
+  const sheetNames = matching.length ? matching : [workbook.SheetNames[0]];
+
+  const table = readScheduleTable(workbook.Sheets[sheetNames[0]], options.layout);
+  const columnMap = columnMapForSheet(workbook.Sheets[sheetNames[0]], options.columnMap, options.layout, table);
+
+  onProgress('Parsing', 0);
+  return parseWorkbookSheets(workbook, sheetNames, nonTeachingLabelsStr, {
+    ...options,
+    columnMap,
+    table: sheetNames.length === 1 ? table : undefined,
+    onProgress: fraction => onProgress('Parsing', fraction)
+  });
+}
+
+// ============================================================================
+// Room Checks
+// ============================================================================
+
+/**
+ * "Smith, John / Period 3 A Day (row 12)" — names the output cell and, when
+ * known, the source sheet row to fix.
+ */
+function describeCell(teacher, slot) {
+  const classRow = slot.classes.find(c => c.sourceRow);
+  const row = classRow ? classRow.sourceRow : teacher.sourceRow;
+  return `${teacher.teacher} / ${slot.header}${row ? ` (row ${row})` : ''}`;
+}
+
+/**
+ * Building or wing prefix of a room ("B208" → "B", "GYM" → "GYM"). Numeric
+ * rooms of three or more digits are zoned by floor, the digits before the last
+ * two ("101" → floor 1, "1204A" → floor 12); shorter numbers have no zone.
+ */
+function roomZone(room) {
+  const value = String(room).trim().toUpperCase();
+  const prefix = value.match(/^[A-Z]+/);
+  if (prefix) return prefix[0];
+  const floor = value.match(/^(\d+)\d{2}(?!\d)/);
+  return floor ? `floor ${Number(floor[1])}` : null;
+}
+
+/**
+ * Builds a room → period/day → occupants index and reports:
+ *   - rooms used by two different teachers in the same slot (a warning, or info
+ *     when they teach the same course, which is usually co-teaching)
+ *   - teachers moving to a different building, wing or floor between adjacent periods
+ *   - classes with no room
+ * Each issue carries cells: [{ row, col }] (teacher index, output column).
+ */
+function validateRooms(teachers) {
+  const issues = [];
+  const occupancy = new Map();
+
+  // Exports without any rooms would flag every class; skip the room checks
+  const hasRooms = teachers.some(t => (t.slots || []).some(slot => slot.classes.some(c => c.room)));
+  if (!hasRooms) {
+    return [{ severity: 'info', message: 'No rooms found in this schedule — room checks skipped' }];
+  }
+
+  teachers.forEach((teacher, row) => {
+    const missingRoom = [];
+
+    for (const slot of teacher.slots || []) {
+      for (const cls of slot.classes) {
+        const room = String(cls.room || '').trim().toUpperCase();
+        if (!room) {
+          missingRoom.push(slot);
+          continue;
+        }
+        // Room numbers repeat across buildings; only the same building's room clashes
+        const key = `${teacher.building || ''}\u0001${room}\u0001${slot.period}\u0001${slot.day}`;
+        if (!occupancy.has(key)) occupancy.set(key, []);
+        occupancy.get(key).push({ teacher, row, slot, cls });
+      }
+    }
+
+    if (missingRoom.length > 0) {
+      const unique = [...new Set(missingRoom)];
+      issues.push({
+        severity: 'warning',
+        message: `No room: ${unique.map(slot => describeCell(teacher, slot)).join(', ')}`,
+        cells: unique.map(slot => ({ row, col: slot.col }))
+      });
+    }
+
+    // Adjacent-period moves between buildings, wings or floors, per rotation day
+    const byDay = {};
+    for (const slot of teacher.slots || []) {
+      if (!byDay[slot.day]) byDay[slot.day] = [];
+      byDay[slot.day].push(slot);
+    }
+    Object.values(byDay).forEach(daySlots => {
+      for (let i = 0; i < daySlots.length - 1; i++) {
+        const cur = daySlots[i];
+        const next = daySlots[i + 1];
+        const curRoom = (cur.classes.find(c => c.room) || {}).room;
+        const nextRoom = (next.classes.find(c => c.room) || {}).room;
+        if (!curRoom || !nextRoom) continue;
+
+        const curZone = roomZone(curRoom);
+        const nextZone = roomZone(nextRoom);
+        if (curZone && nextZone && curZone !== nextZone) {
+          issues.push({
+            severity: 'info',
+            message: `Room change between adjacent periods: ${teacher.teacher}, ${cur.header} in ${curRoom} → ${next.header} in ${nextRoom}`,
+            cells: [{ row, col: cur.col }, { row, col: next.col }]
+          });
+        }
+      }
+    });
+  });
+
+  // Rooms holding two different teachers at once (during overlapping terms)
+  occupancy.forEach(occupants => {
+    const clashes = occupants.some((a, i) => occupants.slice(i + 1).some(b =>
+      a.teacher.teacher.toLowerCase() !== b.teacher.teacher.toLowerCase() && isClassInTerm(a.cls, b.cls.type)
+    ));
+    if (!clashes) return;
+
+    // "Algebra I" and "ALGEBRA 1" are the same course
+    const courses = new Set(occupants.map(o => normalizeCourseKey(o.cls.course)));
+    const first = occupants[0];
+    const seen = new Set();
+    const distinct = occupants.filter(o => {
+      const k = `${o.row}:${o.slot.col}`;
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+    const who = distinct.map(o => `${describeCell(o.teacher, o.slot)}: ${o.cls.course}`).join('; ');
+
+    issues.push(courses.size === 1
+      ? {
+        severity: 'info',
+        message: `Shared room (possible co-teaching): ${first.cls.room}, ${first.slot.header} — ${who}`,
+        cells: distinct.map(o => ({ row: o.row, col: o.slot.col }))
+      }
+      : {
+        severity: 'warning',
+        message: `Room double-booked: ${first.cls.room}, ${first.slot.header} — ${who}`,
+        cells: distinct.map(o => ({ row: o.row, col: o.slot.col }))
+      });
+  });
+
+  return issues;
+}
+
+// ============================================================================
+// Section IDs
+// ============================================================================
+
+/**
+ * Section ID from the Section and Course Code detail fields ("1201-03"), or
+ * the course name when there is no code. Null without a section number.
+ */
+function sectionId(classObj) {
+  const details = classObj.details || {};
+  if (!details.Section) return null;
+  return `${details['Course Code'] || classObj.course}-${details.Section}`;
+}
+
+/**
+ * Flags section IDs used by more than one teacher during overlapping terms.
+ */
+function validateSectionIds(teachers) {
+  const issues = [];
+  const bySection = new Map(); // id → [{ teacher, row, slot, cls }]
+
+  teachers.forEach((teacher, row) => {
+    for (const slot of teacher.slots || []) {
+      for (const cls of slot.classes) {
+        const id = sectionId(cls);
+        if (!id) continue;
+        if (!bySection.has(id)) bySection.set(id, []);
+        bySection.get(id).push({ teacher, row, slot, cls });
+      }
+    }
+  });
+
+  bySection.forEach((uses, id) => {
+    const clashes = uses.some((a, i) => uses.slice(i + 1).some(b =>
+      a.teacher.teacher.toLowerCase() !== b.teacher.teacher.toLowerCase() && isClassInTerm(a.cls, b.cls.type)
+    ));
+    if (!clashes) return;
+
+    const names = [...new Set(uses.map(u => u.teacher.teacher))];
+    issues.push({
+      severity: 'warning',
+      message: `Duplicate section ID: ${id} — ${names.join(', ')}`,
+      cells: uses.map(u => ({ row: u.row, col: u.slot.col }))
+    });
+  });
+
+  return issues;
+}
+
+// ============================================================================
+// Contract Rules
+// ============================================================================
+
+/**
+ * Teaching load rules from a staff contract. A blank (null or 0) limit is not
+ * checked:
+ *   maxTeachingPerDay — most periods with a class on one rotation day
+ *   minPrepPerDay     — fewest Prep periods on one rotation day
+ *   maxConsecutive    — most classes in a row without a break
+ *   dutyFreeLunch     — every day needs a period labelled Lunch
+ */
+const DEFAULT_CONTRACT_RULES = {
+  maxTeachingPerDay: null,
+  minPrepPerDay: null,
+  maxConsecutive: null,
+  dutyFreeLunch: false
+};
+
+function hasContractRules(rules) {
+  return Boolean(rules && (rules.maxTeachingPerDay || rules.minPrepPerDay || rules.maxConsecutive || rules.dutyFreeLunch));
+}
+
+/**
+ * A teacher's slots grouped by rotation day, in period order:
+ * [{ day, label: "A Day", slots }]
+ */
+function slotsByDay(teacher) {
+  const days = new Map();
+  for (const slot of teacher.slots || []) {
+    if (!days.has(slot.day)) {
+      days.set(slot.day, { day: slot.day, label: slot.header.slice(slot.period.length + 1), slots: [] });
+    }
+    days.get(slot.day).slots.push(slot);
+  }
+  return [...days.values()];
+}
+
+/**
+ * One teacher's day across all their rows (a teacher split across buildings
+ * has a row per building), in period order: [{ label: "A Day", slots }] where
+ * each slot merges that period's rows: { period, classes, labels, cells,
+ * teachingCells } (teachingCells: the cells holding classes).
+ */
+function mergedSlotsByDay(teachers, rows) {
+  const days = new Map();
+  rows.forEach(row => {
+    for (const { day, label, slots } of slotsByDay(teachers[row])) {
+      if (!days.has(day)) days.set(day, { label, periods: new Map() });
+      const periods = days.get(day).periods;
+      for (const slot of slots) {
+        if (!periods.has(slot.period)) periods.set(slot.period, { period: slot.period, classes: [], labels: [], cells: [], teachingCells: [] });
+        const merged = periods.get(slot.period);
+        merged.classes.push(...slot.classes);
+        if (slot.label) merged.labels.push(slot.label.toLowerCase());
+        merged.cells.push({ row, col: slot.col });
+        if (slot.classes.length > 0) merged.teachingCells.push({ row, col: slot.col });
+      }
+    }
+  });
+  return [...days.values()].map(({ label, periods }) => ({ label, slots: [...periods.values()] }));
+}
+
+/**
+ * Checks every teacher against the contract rules. A teacher split across
+ * buildings is checked on their whole day, and each teacher gets at most one
+ * warning per rule, listing the days and periods involved, e.g.
+ * "More than 5 teaching periods a day: Smith — A Day: Period 1, ..., Period 6".
+ * Categories (Prep, Lunch, Duty...) match case-insensitively.
+ */
+function validateContractRules(teachers, rules) {
+  if (!hasContractRules(rules)) return [];
+  const issues = [];
+
+  const teaches = slot => slot.classes.length > 0;
+  const hasLabel = (slot, category) => !teaches(slot) && slot.labels.includes(category);
+
+  // Schedules that never mark lunch would flag every teacher
+  let checkLunch = Boolean(rules.dutyFreeLunch);
+  const isLunch = slot => Boolean(slot.label) && slot.label.toLowerCase() === 'lunch';
+  if (checkLunch && !teachers.some(t => (t.slots || []).some(isLunch))) {
+    issues.push({ severity: 'info', message: 'No Lunch periods in this schedule — duty-free lunch check skipped' });
+    checkLunch = false;
+  }
+
+  const rowsByTeacher = new Map();
+  teachers.forEach((teacher, row) => {
+    const key = teacher.teacher.toLowerCase();
+    if (!rowsByTeacher.has(key)) rowsByTeacher.set(key, []);
+    rowsByTeacher.get(key).push(row);
+  });
+
+  rowsByTeacher.forEach(rows => {
+    const teacher = teachers[rows[0]];
+    const found = { load: [], prep: [], consecutive: [], lunch: [] };
+
+    for (const { label, slots } of mergedSlotsByDay(teachers, rows)) {
+      const teaching = slots.filter(teaches);
+
+      if (rules.maxTeachingPerDay && teaching.length > rules.maxTeachingPerDay) {
+        found.load.push({ label, slots: teaching });
+      }
+
+      const preps = slots.filter(slot => hasLabel(slot, 'prep'));
+      if (rules.minPrepPerDay && preps.length < rules.minPrepPerDay) {
+        found.prep.push({ label, slots: preps.length ? preps : teaching });
+      }
+
+      if (rules.maxConsecutive) {
+        let run = [];
+        for (const slot of [...slots, null]) {
+          if (slot && teaches(slot)) {
+            run.push(slot);
+            continue;
+          }
+          if (run.length > rules.maxConsecutive) found.consecutive.push({ label, slots: run });
+          run = [];
+        }
+      }
+
+      if (checkLunch && !slots.some(slot => hasLabel(slot, 'lunch'))) {
+        const duties = slots.filter(slot => !teaches(slot) && slot.labels.some(l => l.startsWith('duty')));
+        found.lunch.push({ label, slots: duties });
+      }
+    }
+
+    const buildings = [...new Set(rows.map(row => teachers[row].building).filter(Boolean))];
+    const who = buildings.length > 1 ? `${teacher.teacher} (${buildings.join(', ')})` : teacher.teacher;
+    const describe = (days) => days
+      .map(d => (d.slots.length ? `${d.label}: ${d.slots.map(slot => slot.period).join(', ')}` : d.label))
+      .join('; ');
+    const add = (days, message) => {
+      if (days.length === 0) return;
+      issues.push({
+        severity: 'warning',
+        message: `${message}: ${who} — ${describe(days)}`,
+        cells: days.flatMap(d => d.slots.flatMap(slot => (teaches(slot) ? slot.teachingCells : slot.cells)))
+      });
+    };
+
+    add(found.load, `More than ${rules.maxTeachingPerDay} teaching period${rules.maxTeachingPerDay !== 1 ? 's' : ''} a day`);
+    add(found.prep, `Fewer than ${rules.minPrepPerDay} prep period${rules.minPrepPerDay !== 1 ? 's' : ''} a day`);
+    add(found.consecutive, `More than ${rules.maxConsecutive} consecutive teaching period${rules.maxConsecutive !== 1 ? 's' : ''}`);
+    add(found.lunch, 'No duty-free lunch');
+  });
+
+  return issues;
+}
+
+// ============================================================================
+// Course Name Canonicalization
+// ============================================================================
+
+const COURSE_ABBREVIATIONS = {
+  alg: 'algebra',
+  geom: 'geometry',
+  calc: 'calculus',
+  stat: 'statistics',
+  stats: 'statistics',
+  chem: 'chemistry',
+  bio: 'biology',
+  phys: 'physics',
+  eng: 'english',
+  lit: 'literature',
+  hist: 'history',
+  govt: 'government',
+  gov: 'government',
+  econ: 'economics',
+  psych: 'psychology',
+  lang: 'language',
+  hon: 'honors',
+  hnrs: 'honors',
+  pe: 'physical education'
+};
+
+const ROMAN_NUMERALS = { i: '1', ii: '2', iii: '3', iv: '4', v: '5', vi: '6' };
+
+/**
+ * Comparison key for a course name: "ALG I", "Algebra I" and "Algebra 1" all
+ * become "algebra 1".
+ */
+function normalizeCourseKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ROMAN_NUMERALS[word] || COURSE_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Typo-level difference between two course keys: same first three letters and
+ * an edit distance that grows with length (1 up to 11 characters, then 2; a
+ * swap of adjacent letters counts as 1), so "Chemsitry" matches "Chemistry"
+ * but "Biology" and "Geology" stay apart.
+ */
+function isLikelyTypo(a, b) {
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 6 || a.slice(0, 3) !== b.slice(0, 3)) return false;
+
+  let distance = levenshteinDistance(a, b);
+  if (distance === 2 && a.length === b.length) {
+    const diffs = [...a].map((ch, i) => i).filter(i => a[i] !== b[i]);
+    if (diffs.length === 2 && diffs[1] === diffs[0] + 1 && a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]]) {
+      distance = 1;
+    }
+  }
+  return distance <= (shorter >= 12 ? 2 : 1);
+}
+
+/**
+ * Groups course spellings that probably name the same course: identical keys
+ * (after expanding abbreviations and numerals), or likely typos that carry the
+ * same numbers (so "Algebra 1" and "Algebra 2" stay apart).
+ * Returns [{ variants: [{ name, count }], canonical, fuzzy }] for groups with
+ * 2+ spellings, canonical being the most used spelling. fuzzy groups were
+ * joined by a typo match alone and should be confirmed by the user.
+ */
+function findCourseGroups(teachers) {
+  const counts = new Map();
+  teachers.forEach(t => (t.slots || []).forEach(slot => slot.classes.forEach(c => {
+    counts.set(c.course, (counts.get(c.course) || 0) + 1);
+  })));
+
+  const names = [...counts.keys()];
+  const keys = names.map(normalizeCourseKey);
+  const digits = keys.map(k => (k.match(/\d+/g) || []).join(','));
+
+  // Union-find over course names
+  const parent = names.map((_, i) => i);
+  const fuzzyPairs = [];
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      if (digits[i] !== digits[j]) continue;
+      if (keys[i] === keys[j]) {
+        parent[find(j)] = find(i);
+      } else if (isLikelyTypo(keys[i], keys[j])) {
+        parent[find(j)] = find(i);
+        fuzzyPairs.push(i);
+      }
+    }
+  }
+  const fuzzyRoots = new Set(fuzzyPairs.map(find));
+
+  const groups = new Map();
+  names.forEach((name, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ name, count: counts.get(name) });
+  });
+
+  return [...groups.entries()]
+    .filter(([, variants]) => variants.length > 1)
+    .map(([root, variants]) => {
+      // Most used first; ties prefer mixed case, then the fuller spelling
+      const isAllCaps = (name) => name === name.toUpperCase();
+      variants.sort((a, b) =>
+        b.count - a.count ||
+        isAllCaps(a.name) - isAllCaps(b.name) ||
+        b.name.length - a.name.length ||
+        a.name.localeCompare(b.name)
+      );
+      return { variants, canonical: variants[0].name, fuzzy: fuzzyRoots.has(root) };
+    });
+}
+
+// ============================================================================
+// Department Inference
+// ============================================================================
+
+// The schedule generator's course table (schedule-generator/app.js COURSES)
+const COURSE_CATALOG = {
+  'English/Language Arts': [
+    'English I', 'English II', 'English III', 'English IV', 'English V',
+    'AP English Literature', 'AP English Language', 'Creative Writing',
+    'Journalism', 'Speech and Debate', 'World Literature', 'Freshman Seminar',
+    'Advanced Composition'
+  ],
+  'Mathematics': [
+    'Algebra I', 'Algebra II', 'Geometry', 'Precalculus', 'Calculus',
+    'AP Calculus AB', 'AP Calculus BC', 'Statistics', 'Linear Algebra',
+    'AP Statistics', 'College Algebra'
+  ],
+  'Science': [
+    'Biology', 'Chemistry', 'Physics', 'Earth Science', 'Environmental Science',
+    'AP Biology', 'AP Chemistry', 'AP Physics', 'Anatomy and Physiology',
+    'Marine Biology'
+  ],
+  'Social Studies': [
+    'World History', 'US History', 'Government', 'Economics', 'Psychology',
+    'Sociology', 'AP World History', 'AP US History', 'AP Government',
+    'AP Economics', 'Global Issues', 'History of Science'
+  ],
+  'World Languages': [
+    'Spanish I', 'Spanish II', 'Spanish III', 'Spanish IV', 'Spanish V',
+    'French I', 'French II', 'French III', 'French IV', 'German I',
+    'German II', 'Mandarin Chinese I'
+  ],
+  'Physical Education/Health': [
+    'Physical Education', 'Health', 'Basketball', 'Weight Training',
+    'Volleyball', 'Strength and Conditioning', 'Sports Medicine',
+    'Fitness and Wellness'
+  ],
+  'Fine Arts': [
+    'Art I', 'Art II', 'Art III', 'Photography', 'Digital Art',
+    'Music Theory', 'Band', 'Choir', 'Drama', 'Drawing and Painting'
+  ],
+  'Business/Technology': [
+    'Business Fundamentals', 'Accounting', 'Marketing', 'Finance',
+    'Entrepreneurship', 'Computer Science I', 'Computer Science II',
+    'Web Design', 'Information Technology'
+  ]
+};
+
+/**
+ * Loose key for catalog lookups: "Honors Chemistry", "AP Chemistry" and
+ * "Spanish 6" fall back to "chemistry" and "spanish".
+ */
+function baseCourseKey(key) {
+  return key.split(' ').filter(word => word !== 'honors' && word !== 'ap' && !/^\d+$/.test(word)).join(' ');
+}
+
+/**
+ * Course → department lookup built from COURSE_CATALOG plus user entries, one
+ * "Course = Department" per line; user entries win.
+ * Returns { exact: Map(key → dept), base: Map(base key → dept) }.
+ */
+function buildCourseCatalog(userEntries) {
+  const exact = new Map();
+  const base = new Map();
+  const add = (course, dept) => {
+    const key = normalizeCourseKey(course);
+    if (!key) return;
+    exact.set(key, dept);
+    if (!base.has(baseCourseKey(key))) base.set(baseCourseKey(key), dept);
+  };
+
+  Object.entries(COURSE_CATALOG).forEach(([dept, courses]) => courses.forEach(course => add(course, dept)));
+
+  String(userEntries || '').split('\n').forEach(line => {
+    const eq = line.indexOf('=');
+    if (eq < 0) return;
+    const course = line.slice(0, eq).trim();
+    const dept = line.slice(eq + 1).trim();
+    if (!course || !dept) return;
+    exact.set(normalizeCourseKey(course), dept);
+    base.set(baseCourseKey(normalizeCourseKey(course)), dept);
+  });
+
+  return { exact, base };
+}
+
+function catalogDepartment(catalog, course) {
+  const key = normalizeCourseKey(course);
+  return catalog.exact.get(key) || catalog.base.get(baseCourseKey(key)) || null;
+}
+
+/**
+ * Fills blank departments with the department most of the teacher's classes
+ * belong to (each course counted once per period). Ties and teachers with no
+ * catalog matches are left blank. Inferred teachers get
+ * deptInferred: { votes, total } so the review can mark them.
+ */
+function inferDepartments(teachers, userEntries) {
+  const catalog = buildCourseCatalog(userEntries);
+
+  for (const teacher of teachers) {
+    if (teacher.dept && teacher.dept.trim() !== '') continue;
+
+    const counted = new Set();
+    const votes = new Map();
+    let total = 0;
+    for (const slot of teacher.slots || []) {
+      for (const c of slot.classes) {
+        const key = `${slot.period}\u0001${c.course}`;
+        if (counted.has(key)) continue;
+        counted.add(key);
+        total++;
+        const dept = catalogDepartment(catalog, c.course);
+        if (dept) votes.set(dept, (votes.get(dept) || 0) + 1);
+      }
+    }
+
+    const ranked = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || (ranked.length > 1 && ranked[0][1] === ranked[1][1])) continue;
+
+    teacher.dept = ranked[0][0];
+    teacher.data[0] = ranked[0][0];
+    teacher.deptInferred = { votes: ranked[0][1], total };
+  }
+}
+
+// ============================================================================
+// Bell Schedule Check
+// ============================================================================
+
+/**
+ * Period names from an HLS bell schedule JSON — either the Bell Schedule Parser
+ * export ({ "Regular Day": [...] }) or a bell-schedule-library file ({ schedules: {...} }).
+ */
+function extractBellPeriodNames(bellJson) {
+  const schedules = bellJson && bellJson.schedules && typeof bellJson.schedules === 'object'
+    ? bellJson.schedules
+    : bellJson;
+
+  const names = [];
+  Object.values(schedules || {}).forEach(periods => {
+    if (!Array.isArray(periods)) return;
+    periods.forEach(p => {
+      if (p && p.period_name && !names.includes(p.period_name)) names.push(p.period_name);
+    });
+  });
+
+  if (names.length === 0) {
+    throw new Error('No period_name entries found — expected an HLS bell schedule JSON');
+  }
+  return names;
+}
+
+/**
+ * Loose key for matching period names: "Period 3BC", "period 3bc" and "3BC" all match.
+ */
+function normalizePeriodKey(name) {
+  return String(name).toLowerCase().replace(/\bper(iod)?\b\.?/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Compares master period columns with bell schedule periods.
+ * Returns { issues, suggestions } where suggestions maps unmatched source
+ * columns to a bell period with the same normalized name. Issues link to the
+ * first teacher's cell in the period's column; a bell period missing from the
+ * master links to the column it would follow.
+ */
+function checkAgainstBellSchedule(parseResult, bellPeriodNames) {
+  const issues = [];
+  const firstCell = (periodName) => {
+    for (let row = 0; row < parseResult.teachers.length; row++) {
+      const slot = parseResult.teachers[row].slots.find(candidate => candidate.period === periodName);
+      if (slot) return [{ row, col: slot.col }];
+    }
+    return [];
+  };
+  const suggestions = {};
+  const bellByKey = {};
+  bellPeriodNames.forEach(name => { bellByKey[normalizePeriodKey(name)] = name; });
+
+  const matchedBell = new Set();
+  parseResult.periodCols.forEach((col, p) => {
+    const name = parseResult.periodNames[p];
+    if (bellPeriodNames.includes(name)) {
+      matchedBell.add(name);
+      return;
+    }
+
+    const loose = bellByKey[normalizePeriodKey(name)];
+    if (loose) suggestions[col] = loose;
+    issues.push({
+      severity: 'warning',
+      message: `Master period "${name}" has no matching bell schedule period` +
+        (loose ? ` (did you mean "${loose}"?)` : ''),
+      cells: firstCell(name)
+    });
+  });
+
+  // Bell periods no teacher teaches in: missing from the master, or never holding a class
+  const usedPeriods = new Set();
+  parseResult.teachers.forEach(t => {
+    t.slots.forEach(slot => { if (slot.classes.length) usedPeriods.add(slot.period); });
+  });
+  bellPeriodNames.forEach((name, i) => {
+    if (!matchedBell.has(name)) {
+      const before = bellPeriodNames.slice(0, i).reverse().find(b => matchedBell.has(b));
+      issues.push({
+        severity: 'info',
+        message: `Bell period "${name}" is not a master schedule column` + (before ? ` (it would follow "${before}")` : ''),
+        cells: before ? firstCell(before) : firstCell(parseResult.periodNames[0])
+      });
+    } else if (!usedPeriods.has(name)) {
+      issues.push({
+        severity: 'info',
+        message: `Bell period "${name}" has no classes in the master schedule`,
+        cells: firstCell(name)
+      });
+    }
+  });
+
+  return { issues, suggestions };
+}
+
+// ============================================================================
+// Schedule Diff
+// ============================================================================
+
+/**
+ * Rooms and courses in a slot, for telling room-only changes apart from class changes.
+ */
+function summarizeSlot(slot) {
+  if (!slot) return { courses: '', rooms: '' };
+  return {
+    courses: slot.classes.map(c => c.course).sort().join('|') || slot.label || '',
+    rooms: slot.classes.map(c => c.room).filter(Boolean).sort().join('|')
+  };
+}
+
+/**
+ * Compares two parse results (previous upload vs. revised upload), matching
+ * teachers by name and cells by output header.
+ * Returns { added, removed, changes } where changes are change-log rows:
+ * { type, teacher, dept, column, before, after }.
+ */
+function diffSchedules(oldResult, newResult) {
+  // Teachers in several buildings appear once per building when both uploads have one
+  const byBuilding = Boolean(oldResult.buildings && newResult.buildings);
+  const byName = (result) => {
+    const map = new Map();
+    result.teachers.forEach(t => map.set(`${byBuilding ? t.building : ''}\u0001${t.teacher.toLowerCase()}`, t));
+    return map;
+  };
+  const oldTeachers = byName(oldResult);
+  const newTeachers = byName(newResult);
+  const changes = [];
+  const added = [];
+  const removed = [];
+
+  newTeachers.forEach((teacher, key) => {
+    if (!oldTeachers.has(key)) {
+      added.push(teacher.teacher);
+      changes.push({ type: 'Teacher Added', teacher: teacher.teacher, dept: teacher.dept, column: '', before: '', after: '' });
+    }
+  });
+  oldTeachers.forEach((teacher, key) => {
+    if (!newTeachers.has(key)) {
+      removed.push(teacher.teacher);
+      changes.push({ type: 'Teacher Removed', teacher: teacher.teacher, dept: teacher.dept, column: '', before: '', after: '' });
+    }
+  });
+
+  const headers = [...new Set([...newResult.headers.slice(2), ...oldResult.headers.slice(2)])];
+
+  newTeachers.forEach((newTeacher, key) => {
+    const oldTeacher = oldTeachers.get(key);
+    if (!oldTeacher) return;
+
+    if (oldTeacher.dept !== newTeacher.dept) {
+      changes.push({
+        type: 'Department Changed', teacher: newTeacher.teacher, dept: newTeacher.dept,
+        column: 'Department', before: oldTeacher.dept, after: newTeacher.dept
+      });
+    }
+
+    const oldSlots = new Map(oldTeacher.slots.map(slot => [slot.header, slot]));
+    const newSlots = new Map(newTeacher.slots.map(slot => [slot.header, slot]));
+
+    for (const header of headers) {
+      const oldSlot = oldSlots.get(header);
+      const newSlot = newSlots.get(header);
+      const before = oldSlot ? oldTeacher.data[oldSlot.col] : '';
+      const after = newSlot ? newTeacher.data[newSlot.col] : '';
+      if (before === after) continue;
+
+      const oldSummary = summarizeSlot(oldSlot);
+      const newSummary = summarizeSlot(newSlot);
+      const roomOnly = oldSlot && newSlot && oldSummary.courses === newSummary.courses &&
+        oldSummary.rooms !== newSummary.rooms;
+
+      changes.push({
+        type: roomOnly ? 'Room Changed' : 'Cell Changed',
+        teacher: newTeacher.teacher,
+        dept: newTeacher.dept,
+        column: header,
+        before: roomOnly ? oldSummary.rooms.replace(/\|/g, ', ') : before,
+        after: roomOnly ? newSummary.rooms.replace(/\|/g, ', ') : after
+      });
+    }
+  });
+
+  return { added, removed, changes };
+}
+
+function generateChangeLogCsv(diff) {
+  const rows = [['Change', 'Teacher', 'Department', 'Column', 'Before', 'After'].join(',')];
+  for (const c of diff.changes) {
+    rows.push([c.type, c.teacher, c.dept, c.column, c.before, c.after].map(v => escapeCsv(String(v))).join(','));
+  }
+  return rows.join('\n');
+}
+
+// ============================================================================
+// Pseudonymization
+// ============================================================================
+
+const SYNTHETIC_FIRST_NAMES = [
+  'Alex', 'Bailey', 'Casey', 'Dana', 'Elliot', 'Finley', 'Gray', 'Harper',
+  'Indra', 'Jordan', 'Kai', 'Logan', 'Morgan', 'Noel', 'Oakley', 'Parker',
+  'Quinn', 'Reese', 'Sage', 'Taylor', 'Uma', 'Val', 'Wren', 'Yael'
+];
+
+const SYNTHETIC_LAST_NAMES = [
+  'Abbott', 'Bishop', 'Carver', 'Dalton', 'Ellis', 'Fenwick', 'Garner', 'Hale',
+  'Irving', 'Jennings', 'Keller', 'Lowry', 'Mercer', 'Norwood', 'Oakes', 'Pruitt',
+  'Quimby', 'Radcliffe', 'Sterling', 'Thorne', 'Underwood', 'Vance', 'Whitlock',
+  'Yardley', 'Zeller', 'Ashby', 'Brennan', 'Crowley', 'Dunmore', 'Easton'
+];
+
+function shuffled(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Synthetic name in the same style as the original ("Last, First" stays
+ * comma-separated). Names beyond the first/last combinations get a number.
+ */
+function syntheticName(index, original) {
+  const combos = SYNTHETIC_FIRST_NAMES.length * SYNTHETIC_LAST_NAMES.length;
+  const round = Math.floor(index / SYNTHETIC_FIRST_NAMES.length);
+  const first = SYNTHETIC_FIRST_NAMES[index % SYNTHETIC_FIRST_NAMES.length];
+  // Offsetting the last name each round keeps every first/last pair distinct
+  const last = SYNTHETIC_LAST_NAMES[(index % SYNTHETIC_FIRST_NAMES.length + round) % SYNTHETIC_LAST_NAMES.length];
+  const suffix = index >= combos ? ` ${Math.floor(index / combos) + 1}` : '';
+  return original.includes(',') ? `${last}${suffix}, ${first}` : `${first} ${last}${suffix}`;
+}
+
+/**
+ * Room → shuffled room. Each room belongs to the department that uses it most
+ * and is only swapped with that department's rooms, so rooms stay in plausible
+ * wings and shared rooms stay shared. Every room of a department with two or
+ * more rooms moves; a department's only room cannot. Rooms already in
+ * existing keep their mapping; only rooms new since then are shuffled.
+ */
+function buildRoomShuffle(teachers, existing = new Map()) {
+  const usage = new Map(); // room → Map(dept → count)
+  for (const teacher of teachers) {
+    for (const slot of teacher.slots) {
+      for (const c of slot.classes) {
+        if (!c.room || existing.has(c.room)) continue;
+        if (!usage.has(c.room)) usage.set(c.room, new Map());
+        const depts = usage.get(c.room);
+        depts.set(teacher.dept, (depts.get(teacher.dept) || 0) + 1);
+      }
+    }
+  }
+
+  const roomsByDept = new Map();
+  usage.forEach((depts, room) => {
+    const home = [...depts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    if (!roomsByDept.has(home)) roomsByDept.set(home, []);
+    roomsByDept.get(home).push(room);
+  });
+
+  const mapping = new Map(existing);
+  roomsByDept.forEach(rooms => {
+    // Each room takes the next one's number in a shuffled cycle, so none stays put
+    const order = shuffled(rooms);
+    order.forEach((room, i) => mapping.set(room, order[(i + 1) % order.length]));
+  });
+  return mapping;
+}
+
+/**
+ * Copies the parsed teachers with synthetic teacher names (the same real name
+ * always maps to the same synthetic name) and, optionally, shuffled rooms.
+ * Output rows are rebuilt in the normal export format. options.mapping, from
+ * an earlier call, keeps its assignments so edited schedules still match a
+ * key file already downloaded; teachers and rooms new since then are added.
+ * Returns { teachers, key, mapping } where key maps synthetic values back to
+ * real ones.
+ */
+function pseudonymizeTeachers(teachers, options = {}) {
+  const previous = options.mapping || { names: new Map(), rooms: new Map() };
+  const names = new Map(previous.names); // lowercase real name → { synthetic, real }
+  const newNames = [];
+  teachers.forEach(t => {
+    const lower = t.teacher.toLowerCase();
+    if (!names.has(lower) && !newNames.some(n => n.lower === lower)) newNames.push({ lower, real: t.teacher });
+  });
+  // Earlier names keep their index so every synthetic name stays distinct
+  shuffled(newNames).forEach(({ lower, real }) => {
+    names.set(lower, { synthetic: syntheticName(names.size, real), real });
+  });
+  const roomMap = options.shuffleRooms ? buildRoomShuffle(teachers, previous.rooms) : new Map();
+
+  const result = teachers.map(teacher => {
+    const name = names.get(teacher.teacher.toLowerCase()).synthetic;
+
+    const data = [...teacher.data];
+    data[1] = name;
+    const slots = teacher.slots.map(slot => {
+      const classes = slot.classes.map(c => (roomMap.has(c.room) ? { ...c, room: roomMap.get(c.room) } : c));
+      data[slot.col] = formatClassForCsv(classes) || slot.label;
+      return { ...slot, classes };
+    });
+
+    return { ...teacher, teacher: name, data, slots, sourceRow: null };
+  });
+
+  return {
+    teachers: result,
+    key: {
+      teachers: [...names.values()].map(({ synthetic, real }) => ({ synthetic, real })),
+      rooms: [...roomMap].map(([real, synthetic]) => ({ synthetic, real }))
+    },
+    mapping: { names, rooms: roomMap }
+  };
+}
+
+// ============================================================================
+// CSV Generation
+// ============================================================================
+
+/**
+ * Copy of a parse result whose class cells also list each class's detail
+ * fields (formatClassWithDetails). Slots are unchanged.
+ */
+function withDetailsInCells(parseResult) {
+  const teachers = parseResult.teachers.map(teacher => {
+    const data = [...teacher.data];
+    teacher.slots.forEach(slot => {
+      if (slot.classes.length) {
+        data[slot.col] = [...new Set(slot.classes.map(formatClassWithDetails))].join(MULTI_CLASS_SEPARATOR);
+      }
+    });
+    return { ...teacher, data };
+  });
+  return { ...parseResult, teachers };
+}
+
+function generateCsv(headers, teachers) {
+  const rows = [];
+  rows.push(headers.map(escapeCsv).join(','));
+
+  for (const teacher of teachers) {
+    rows.push(teacher.data.map(escapeCsv).join(','));
+  }
+
+  return rows.join('\n');
+}
+
+// ============================================================================
+// Teacher Schedule Sheets
+// ============================================================================
+
+/**
+ * One teacher's week as a table: periods as rows, rotation days as columns.
+ * Each class cell lists "Course" over "Room 101 · S1"; non-teaching cells hold
+ * their category. Returns { head, body, nonTeaching } where nonTeaching[r][d]
+ * marks category cells.
+ */
+function teacherScheduleTable(teacher, parseResult) {
+  const { periodNames, rotation } = parseResult;
+  const head = [['Period', ...rotation.days.map(day => formatDayLabel(day, rotation.style))]];
+  const body = [];
+  const nonTeaching = [];
+
+  periodNames.forEach(period => {
+    const slots = teacher.slots.filter(slot => slot.period === period);
+    if (!slots.length) return;
+
+    const row = [period];
+    const flags = [false];
+    rotation.days.forEach(day => {
+      const slot = slots.find(s => s.day === day);
+      if (!slot) {
+        row.push('');
+        flags.push(false);
+      } else if (slot.classes.length) {
+        row.push(slot.classes.map(c => {
+          const where = [c.room ? `Room ${c.room}` : '', c.type].filter(Boolean).join(' · ');
+          return `${c.course}\n${where}`;
+        }).join('\n\n'));
+        flags.push(false);
+      } else {
+        row.push(slot.label || '');
+        flags.push(true);
+      }
+    });
+    body.push(row);
+    nonTeaching.push(flags);
+  });
+
+  return { head, body, nonTeaching };
+}
+
+// ============================================================================
+// XLSX Generation
+// ============================================================================
+
+/**
+ * Excel export via ExcelJS (loaded by index.html; SheetJS CE cannot write
+ * frozen panes). Teachers are grouped into collapsible department sections
+ * under a frozen header row, with the Department and Teacher columns frozen.
+ */
+function buildScheduleXlsx(parseResult) {
+  const { headers, teachers } = parseResult;
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Master Schedule', {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }],
+    properties: { outlineProperties: { summaryBelow: false } }
+  });
+
+  sheet.columns = headers.map((header, c) => ({ header, width: c < 2 ? 22 : 20 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF1F5F9' } };
+
+  const byDept = new Map();
+  teachers.forEach(teacher => {
+    const dept = teacher.dept || '(No Department)';
+    if (!byDept.has(dept)) byDept.set(dept, []);
+    byDept.get(dept).push(teacher);
+  });
+
+  [...byDept.keys()].sort((a, b) => a.localeCompare(b)).forEach(dept => {
+    const members = byDept.get(dept);
+    const section = sheet.addRow([`${dept} (${members.length})`]);
+    section.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    section.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2563EB' } };
+    sheet.mergeCells(section.number, 1, section.number, headers.length);
+
+    members.forEach(teacher => {
+      const row = sheet.addRow(teacher.data);
+      row.outlineLevel = 1;
+      row.alignment = { wrapText: true, vertical: 'top' };
+    });
+  });
+
+  return workbook;
+}
+
+// ============================================================================
+// JSON Export & Import
+// ============================================================================
+
+/**
+ * Structured export keeping every class per period/day:
+ * { term, periods, days, teachers: [{ teacher, department, schedule: { period: { day: [...] } },
+ *   nonTeaching: { period: { day: category } } }] }
+ * plus what scheduleJsonToParseResult needs to rebuild the parse exactly
+ * (rotation style, layout, source period names, source rows).
+ */
+function buildScheduleJson(parseResult) {
+  const teachers = parseResult.teachers.map(teacher => {
+    const schedule = {};
+    const nonTeaching = {};
+    for (const slot of teacher.slots) {
+      if (!schedule[slot.period]) schedule[slot.period] = {};
+      schedule[slot.period][slot.day] = slot.classes.map(c => ({
+        course: c.course,
+        room: c.room,
+        term: c.type,
+        ...(c.details ? { details: c.details } : {})
+      }));
+      if (slot.label) {
+        if (!nonTeaching[slot.period]) nonTeaching[slot.period] = {};
+        nonTeaching[slot.period][slot.day] = slot.label;
+      }
+    }
+    return {
+      teacher: teacher.teacher,
+      department: teacher.dept,
+      ...(teacher.deptInferred ? { departmentInferred: teacher.deptInferred } : {}),
+      ...(teacher.building !== undefined ? { building: teacher.building } : {}),
+      ...(teacher.sourceRow ? { sourceRow: teacher.sourceRow } : {}),
+      schedule,
+      nonTeaching
+    };
+  });
+
+  return {
+    term: parseResult.term,
+    periods: parseResult.periodNames,
+    days: parseResult.rotation.days,
+    rotationStyle: parseResult.rotation.style,
+    layout: parseResult.layout,
+    sourcePeriods: parseResult.periodCols,
+    teachers
+  };
+}
+
+/**
+ * Rebuilds a parse result from a buildScheduleJson export, so a saved JSON
+ * can be reviewed, edited and exported again. Honors the same options as
+ * parseExcelSchedule: term, periodRenames (by source period), courseAliases,
+ * emptyCategory and inferDepartments. A class listed on every rotation day meets every day.
+ */
+function scheduleJsonToParseResult(json, options = {}) {
+  if (!json || !Array.isArray(json.periods) || !Array.isArray(json.days) || !Array.isArray(json.teachers)) {
+    throw new Error('Not a master schedule JSON export (expected periods, days and teachers)');
+  }
+
+  const term = options.term && options.term !== 'ALL' ? options.term : (json.term || 'ALL');
+  const days = json.days.map(String);
+  const rotation = {
+    style: json.rotationStyle || rotationFromList(days.join(',')).style,
+    days
+  };
+  const emptyCategory = options.emptyCategory || 'Prep';
+  const renames = options.periodRenames || {};
+  const aliases = options.courseAliases || {};
+  const periodCols = json.sourcePeriods || json.periods;
+  const periodNames = periodCols.map((col, p) => renames[col] || json.periods[p]);
+  const hasBuildings = json.teachers.some(t => t.building !== undefined);
+
+  const headers = ['Department', 'Teacher'];
+  periodNames.forEach(name => days.forEach(day => headers.push(`${name} ${formatDayLabel(day, rotation.style)}`)));
+  if (hasBuildings) headers.push('Building');
+
+  const teachers = json.teachers.map(entry => {
+    const data = headers.map(() => '');
+    data[0] = entry.department || '';
+    data[1] = entry.teacher || '';
+    const slots = [];
+    const schedule = entry.schedule || {};
+    const nonTeaching = entry.nonTeaching || {};
+
+    json.periods.forEach((period, p) => {
+      // Periods missing from a teacher's schedule (another building's columns) stay blank
+      if (!schedule[period]) return;
+
+      // One class object per course/room/term, meeting on the days it is listed
+      const byKey = new Map();
+      days.forEach(day => {
+        (schedule[period][day] || []).forEach(c => {
+          const key = `${c.course}\u0001${c.room || ''}\u0001${c.term || 'FY'}\u0001${JSON.stringify(c.details || {})}`;
+          if (!byKey.has(key)) {
+            const alias = aliases[String(c.course).toLowerCase()];
+            byKey.set(key, {
+              course: alias || c.course, room: c.room || '', type: c.term || 'FY', days: [],
+              ...(c.details ? { details: c.details } : {})
+            });
+          }
+          byKey.get(key).days.push(day);
+        });
+      });
+      const classes = [...byKey.values()]
+        .map(c => ({ ...c, days: c.days.length === days.length ? null : c.days }))
+        .filter(c => isClassInTerm(c, term));
+
+      days.forEach((day, d) => {
+        const dayClasses = classesForDay(classes, day);
+        const label = dayClasses.length ? null : ((nonTeaching[period] || {})[day] || emptyCategory);
+        const col = 2 + p * days.length + d;
+        slots.push({
+          period: periodNames[p],
+          sourceCol: periodCols[p],
+          day,
+          header: headers[col],
+          col,
+          classes: dayClasses,
+          label
+        });
+        data[col] = formatClassForCsv(dayClasses) || label;
+      });
+    });
+
+    const teacher = { teacher: data[1], dept: data[0], data, slots, sourceRow: entry.sourceRow || null };
+    if (entry.departmentInferred) teacher.deptInferred = entry.departmentInferred;
+    if (hasBuildings) {
+      teacher.building = entry.building || '';
+      data[headers.length - 1] = teacher.building;
+    }
+    return teacher;
+  });
+  if (options.inferDepartments) inferDepartments(teachers, options.courseCatalog);
+
+  const result = {
+    headers,
+    teachers,
+    periodCols,
+    periodNames,
+    term,
+    rotation,
+    layout: json.layout || 'wide'
+  };
+  if (hasBuildings) result.buildings = [...new Set(teachers.map(t => t.building))];
+  return result;
+}
@@ -0,0 +1,45 @@
+/**
+ * Master Schedule Parser — background worker
+ * Runs XLSX.read and parseAndValidate off the page thread. Messages:
+ *   in:  { type: 'read', buffer } | { type: 'load', workbook } | { type: 'parse', sheetNames, labels, options }
+ *        | { type: 'compare', buffer, sheetNames, labels, options } (parses an older file; keeps the loaded workbook)
+ *   out: { type: 'progress', label, fraction } | { type: 'issues', issues } | { type: 'done', result } | { type: 'error', message }
+ */
+
+importScripts('https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js', 'parser.js');
+
+let workbook = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  try {
+    if (msg.type === 'read') {
+      self.postMessage({ type: 'progress', label: 'Reading workbook', fraction: null });
+      workbook = XLSX.read(msg.buffer, { type: 'array' });
+      self.postMessage({ type: 'done', result: workbook });
+    } else if (msg.type === 'load') {
+      workbook = msg.workbook;
+    } else if (msg.type === 'parse') {
+      const result = parseAndValidate(
+        workbook,
+        msg.sheetNames,
+        msg.labels,
+        msg.options,
+        (label, fraction) => self.postMessage({ type: 'progress', label, fraction }),
+        (issues) => self.postMessage({ type: 'issues', issues })
+      );
+      self.postMessage({ type: 'done', result });
+    } else if (msg.type === 'compare') {
+      const result = parseComparisonWorkbook(
+        msg.buffer,
+        msg.sheetNames,
+        msg.labels,
+        msg.options,
+        (label, fraction) => self.postMessage({ type: 'progress', label, fraction })
+      );
+      self.postMessage({ type: 'done', result });
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};